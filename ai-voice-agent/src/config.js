@@ -0,0 +1,4 @@
+// Server configuration shared by the server and its services
+export const PORT = parseInt(process.env.PORT || '3000');
+export const HOST = '0.0.0.0';
+export const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
@@ -5,6 +5,7 @@ import formBody from '@fastify/formbody';
 import websocket from '@fastify/websocket';
 import twilio from 'twilio';
 import WebSocket from 'ws';
+import { buildStreamTwiml } from './utils/twiml.js';
 
 // Simple ElevenLabs class for direct JS usage
 class ElevenLabsClient {
@@ -192,16 +193,10 @@ async function setupServer() {
       }
       
       // Create TwiML response
-      const twiml = `
-        <Response>
-          <Connect>
-            <Stream url="wss://${hostname}/call-stream">
-              <Parameter name="prompt" value="${prompt}" />
-              <Parameter name="first_message" value="${firstMessage}" />
-            </Stream>
-          </Connect>
-        </Response>
-      `;
+      const twiml = buildStreamTwiml(`wss://${hostname}/call-stream`, {
+        prompt,
+        first_message: firstMessage
+      });
       
       reply.header('Content-Type', 'application/xml');
       return reply.send(twiml);
@@ -6,6 +6,7 @@ import websocket, { WebsocketHandler } from '@fastify/websocket';
 import twilio from 'twilio';
 import WebSocket from 'ws';
 import { ElevenLabsClient } from './services/elevenlabs.js';
+import { buildStreamTwiml } from './utils/twiml.js';
 
 // Define types for requests
 interface CallStatusRequest {
@@ -278,16 +279,10 @@ async function setupServer() {
       console.log('Using WebSocket URL in TwiML:', wsUrl);
       
       // Create TwiML response
-      const twiml = `
-        <Response>
-          <Connect>
-            <Stream url="${wsUrl}">
-              <Parameter name="prompt" value="${prompt}" />
-              <Parameter name="first_message" value="${firstMessage}" />
-            </Stream>
-          </Connect>
-        </Response>
-      `;
+      const twiml = buildStreamTwiml(wsUrl, {
+        prompt,
+        first_message: firstMessage
+      });
       
       reply.header('Content-Type', 'application/xml');
       return reply.send(twiml);
@@ -4,6 +4,7 @@ import WebSocket from 'ws';
 import twilio from 'twilio';
 import { twilioClient } from '../index.js';
 import { createSignedUrl, safeJsonParse } from '../utils/elevenlabs.js';
+import { buildStreamTwiml } from '../utils/twiml.js';
 
 // Type for SocketStream from @fastify/websocket
 interface SocketStream {
@@ -34,25 +35,6 @@ const activeConnections = new Map<string, {
   elevenLabsWs: WebSocket
 }>();
 
-// Create a TwiML response (voice response)
-function createVoiceResponse() {
-  // Simple utility to create a TwiML response without importing the actual class
-  return {
-    connect: () => ({
-      stream: (options: { url: string }) => ({
-        parameter: (name: string, value: string) => ({
-          parameter: (name2: string, value2: string) => ({
-            toString: () => `<Response><Connect><Stream url="${options.url}"><Parameter name="${name}" value="${value}" /><Parameter name="${name2}" value="${value2}" /></Stream></Connect></Response>`
-          }),
-          toString: () => `<Response><Connect><Stream url="${options.url}"><Parameter name="${name}" value="${value}" /></Stream></Connect></Response>`
-        })
-      }),
-      toString: () => `<Response><Connect></Connect></Response>`
-    }),
-    toString: () => `<Response></Response>`
-  };
-}
-
 /**
  * Handler for initiating outbound calls (triggered from n8n)
  */
@@ -82,7 +64,10 @@ export async function handleOutboundCall(request: FastifyRequest, reply: Fastify
       statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
       statusCallbackMethod: 'POST',
       // Pass custom parameters to TwiML
-      twiml: `<Response><Connect><Stream url="${process.env.WEBHOOK_BASE_URL}/outbound-media-stream"><Parameter name="prompt" value="${prompt || 'You are a friendly AI assistant making a phone call.'}" /><Parameter name="first_message" value="${firstMessage || 'Hello, this is an automated call from an AI assistant.'}" /></Stream></Connect></Response>`
+      twiml: buildStreamTwiml(`${process.env.WEBHOOK_BASE_URL}/outbound-media-stream`, {
+        prompt: prompt || 'You are a friendly AI assistant making a phone call.',
+        first_message: firstMessage || 'Hello, this is an automated call from an AI assistant.'
+      })
     });
 
     // Return success response
@@ -113,17 +98,15 @@ export async function handleTwiml(request: FastifyRequest, reply: FastifyReply)
     const prompt = body.prompt || 'You are a friendly AI assistant making a phone call.';
     const firstMessage = body.first_message || 'Hello, this is an automated call from an AI assistant.';
 
-    // Create TwiML response
-    const twiml = createVoiceResponse();
-    
-    // Set up Stream connection to our WebSocket
-    const twimlResponse = twiml.connect().stream({
-      url: `wss://${process.env.SERVER_DOMAIN}/outbound-media-stream`,
-    }).parameter('prompt', prompt).parameter('first_message', firstMessage);
+    // Create TwiML response with a Stream connection to our WebSocket
+    const twiml = buildStreamTwiml(`wss://${process.env.SERVER_DOMAIN}/outbound-media-stream`, {
+      prompt,
+      first_message: firstMessage
+    });
 
     // Send TwiML response
     reply.header('Content-Type', 'application/xml');
-    return reply.send(twimlResponse.toString());
+    return reply.send(twiml);
   } catch (error: any) {
     console.error('Error generating TwiML:', error);
     return reply.code(500).send('Error generating call instructions');
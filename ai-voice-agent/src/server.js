@@ -3,21 +3,94 @@ import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import formBody from '@fastify/formbody';
 import websocket from '@fastify/websocket';
-import twilio from 'twilio';
 import WebSocket from 'ws';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { resolveInboundRoute } from './services/inboundRoutes.js';
+import { callRegistry, TERMINAL_STATES } from './services/callRegistry.js';
+import { sendCompletionWebhook, isValidCallbackUrl } from './services/webhooks.js';
+import { CallRecorder, isRecordingEnabledByDefault } from './services/recorder.js';
+import {
+  placeCall,
+  hangUpCall,
+  redirectCall,
+  DEFAULT_OUTBOUND_PROMPT,
+  DEFAULT_OUTBOUND_FIRST_MESSAGE
+} from './services/dialer.js';
+import { callScheduler, planCall } from './services/scheduler.js';
+import { callLimiter } from './services/callLimits.js';
+import { normalizePhoneNumber } from './services/phoneNumbers.js';
+import { doNotCallList, assertNotOnDoNotCallList, matchesOptOutPhrase } from './services/doNotCall.js';
+import { resolveRetryPolicy, getDefaultRetryPolicy } from './services/retries.js';
+import {
+  resolveMachineDetection,
+  isMachineAnswer,
+  DEFAULT_VOICEMAIL_PROMPT
+} from './services/voicemail.js';
+import { campaignManager } from './services/campaigns.js';
+import {
+  resolveTransferTarget,
+  matchesTransferKeyword,
+  transferCall,
+  updateTransferStatus,
+  buildTransferUnavailableTwiml
+} from './services/transfers.js';
+import {
+  DtmfCollector,
+  getDtmfMode,
+  describeDigits,
+  isValidDtmfSequence,
+  generateDtmfAudio
+} from './services/dtmf.js';
+import { synthesizeSpeech } from './services/speech.js';
+import { callMonitor } from './services/monitor.js';
+import { resolveAgentOverrides, buildConversationConfigOverride, keepsAgentPrompt } from './services/agentOverrides.js';
+import { resolveDynamicVariables } from './services/dynamicVariables.js';
+import { callContexts } from './services/callContext.js';
+import { createStreamToken, verifyStreamToken, createListenToken } from './services/streamTokens.js';
+import { loadApiKeys, requiredScope, authenticate, redactUrl } from './services/auth.js';
+import {
+  isTwilioWebhook,
+  isSignatureValidationEnabled,
+  validateTwilioSignature
+} from './services/twilioSignature.js';
+import { VoiceResponse, buildStreamTwiml } from './utils/twiml.js';
+import { containsPhrase } from './utils/phrases.js';
+import { PORT, HOST, BASE_URL } from './config.js';
 
 // Simple ElevenLabs class for direct JS usage
-class ElevenLabsClient {
+// Emits 'transcript' with { speaker, text, timestamp } for every conversation turn
+// and 'conversationStarted' with the ElevenLabs conversation ID. Agent audio
+// forwarded to Twilio is re-emitted as 'audio', and 'interruption' fires
+// when the queued agent audio is cleared. Client tool calls from the agent
+// are emitted as 'toolCall' with { name, id, parameters }; answer them with
+// sendToolResult. 'conversationEnded' fires when ElevenLabs closes the
+// conversation rather than endConversation.
+class ElevenLabsClient extends EventEmitter {
   constructor(options) {
+    super();
+    
     if (!options || !options.streamSid || !options.twilioSocket) {
       throw new Error('Missing required parameters for ElevenLabs client');
     }
     
     this.streamSid = options.streamSid;
     this.twilioSocket = options.twilioSocket;
-    this.prompt = options.prompt || 'You are a friendly AI assistant.';
-    this.firstMessage = options.firstMessage || 'Hello, this is an AI assistant calling you.';
+    // null keeps the prompt or first message configured on the agent
+    this.prompt = options.prompt !== null ? options.prompt || 'You are a friendly AI assistant.' : null;
+    this.firstMessage = options.firstMessage !== null
+      ? options.firstMessage || 'Hello, this is an AI assistant calling you.'
+      : null;
+    this.agentId = options.agentId || null;
+    // Per-call voice, language and LLM; unset fields keep the agent's own
+    this.voiceId = options.voiceId || null;
+    this.language = options.language || null;
+    this.llm = options.llm || null;
+    // Values for the {{placeholders}} in the agent's prompt and messages
+    this.dynamicVariables = options.dynamicVariables || null;
+    this.conversationId = null;
     this.ws = null;
+    this.isEnding = false;
     this.isConnected = false;
     
     console.log('ElevenLabs client initialized with streamSid:', this.streamSid);
@@ -27,7 +100,7 @@ class ElevenLabsClient {
   async getSignedUrl() {
     try {
       const apiKey = process.env.ELEVENLABS_API_KEY;
-      const agentId = process.env.ELEVENLABS_AGENT_ID;
+      const agentId = this.agentId || process.env.ELEVENLABS_AGENT_ID;
       
       if (!apiKey || !agentId) {
         throw new Error('Missing ElevenLabs API key or Agent ID');
@@ -75,18 +148,20 @@ class ElevenLabsClient {
         // Send initial configuration with prompt and first message
         const initialConfig = {
           type: "conversation_initiation_client_data",
-          conversation_config_override: {
-            agent: {
-              prompt: {
-                prompt: this.prompt
-              },
-              first_message: this.firstMessage
-            },
-          },
+          conversation_config_override: buildConversationConfigOverride({
+            prompt: this.prompt,
+            firstMessage: this.firstMessage,
+            voiceId: this.voiceId,
+            language: this.language,
+            llm: this.llm
+          }),
         };
+        if (this.dynamicVariables) {
+          initialConfig.dynamic_variables = this.dynamicVariables;
+        }
         
         console.log('[ElevenLabs] Sending initial config with prompt:', 
-          initialConfig.conversation_config_override.agent.prompt.prompt);
+          this.prompt ?? '(agent prompt)');
         
         // Send the configuration to ElevenLabs
         this.ws.send(JSON.stringify(initialConfig));
@@ -100,6 +175,10 @@ class ElevenLabsClient {
           switch (message.type) {
             case "conversation_initiation_metadata":
               console.log("[ElevenLabs] Received initiation metadata");
+              if (message.conversation_initiation_metadata_event?.conversation_id) {
+                this.conversationId = message.conversation_initiation_metadata_event.conversation_id;
+                this.emit('conversationStarted', this.conversationId);
+              }
               break;
               
             case "audio":
@@ -114,6 +193,7 @@ class ElevenLabsClient {
                     },
                   };
                   this.twilioSocket.send(JSON.stringify(audioData));
+                  this.emit('audio', message.audio.chunk);
                   console.log('[ElevenLabs] Sent audio chunk to Twilio');
                 } else if (message.audio_event?.audio_base_64) {
                   const audioData = {
@@ -124,6 +204,7 @@ class ElevenLabsClient {
                     },
                   };
                   this.twilioSocket.send(JSON.stringify(audioData));
+                  this.emit('audio', message.audio_event.audio_base_64);
                   console.log('[ElevenLabs] Sent audio_event to Twilio');
                 }
               } else {
@@ -140,6 +221,19 @@ class ElevenLabsClient {
                     streamSid: this.streamSid,
                   })
                 );
+                this.emit('interruption');
+              }
+              break;
+              
+            case "client_tool_call":
+              // A client tool configured on the agent, e.g. "transfer"
+              console.log(`[ElevenLabs] Client tool call: ${message.client_tool_call?.tool_name}`);
+              if (message.client_tool_call?.tool_call_id) {
+                this.emit('toolCall', {
+                  name: message.client_tool_call.tool_name,
+                  id: message.client_tool_call.tool_call_id,
+                  parameters: message.client_tool_call.parameters || {}
+                });
               }
               break;
               
@@ -159,12 +253,37 @@ class ElevenLabsClient {
               console.log(
                 `[ElevenLabs] Agent response: ${message.agent_response_event?.agent_response}`
               );
+              if (message.agent_response_event?.agent_response) {
+                this.emit('transcript', {
+                  speaker: 'agent',
+                  text: message.agent_response_event.agent_response,
+                  timestamp: new Date().toISOString()
+                });
+              }
+              break;
+              
+            case "agent_response_correction":
+              // Sent when the caller interrupts - the agent only got part of its response out
+              if (message.agent_response_correction_event?.corrected_agent_response !== undefined) {
+                this.emit('transcriptCorrection', {
+                  speaker: 'agent',
+                  original: message.agent_response_correction_event.original_agent_response,
+                  text: message.agent_response_correction_event.corrected_agent_response
+                });
+              }
               break;
               
             case "user_transcript":
               console.log(
                 `[ElevenLabs] User transcript: ${message.user_transcription_event?.user_transcript}`
               );
+              if (message.user_transcription_event?.user_transcript) {
+                this.emit('transcript', {
+                  speaker: 'user',
+                  text: message.user_transcription_event.user_transcript,
+                  timestamp: new Date().toISOString()
+                });
+              }
               break;
               
             default:
@@ -179,9 +298,13 @@ class ElevenLabsClient {
         console.error('[ElevenLabs] WebSocket error:', error);
       });
       
-      this.ws.on('close', () => {
+      this.ws.on('close', (code, reason) => {
         console.log('[ElevenLabs] Disconnected');
         this.isConnected = false;
+        // ElevenLabs ended the conversation, not us
+        if (!this.isEnding) {
+          this.emit('conversationEnded', { code, reason: reason?.toString() || null });
+        }
       });
       
       // Return a promise that resolves when connected
@@ -238,7 +361,38 @@ class ElevenLabsClient {
     }
   }
 
+  // Send text into the conversation as if the caller had said it
+  sendUserMessage(text) {
+    this.sendJson({ type: "user_message", text });
+  }
+
+  // Give the agent background information without it being a caller turn
+  sendContextualUpdate(text) {
+    this.sendJson({ type: "contextual_update", text });
+  }
+
+  sendJson(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.warn(`Cannot send ${message.type}: WebSocket not connected`);
+      return;
+    }
+    
+    this.ws.send(JSON.stringify(message));
+  }
+
+  // Reply to a client tool call so the agent can carry on
+  sendToolResult(toolCallId, result, isError = false) {
+    this.sendJson({
+      type: "client_tool_result",
+      tool_call_id: toolCallId,
+      result,
+      is_error: isError
+    });
+  }
+
   async endConversation() {
+    this.isEnding = true;
+    
     if (!this.ws) {
       console.log('No active conversation to end');
       return;
@@ -261,36 +415,192 @@ class ElevenLabsClient {
   }
 }
 
-// Initialize the Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID || '',
-  process.env.TWILIO_AUTH_TOKEN || ''
-);
-
-// Server configuration
-const PORT = parseInt(process.env.PORT || '3000');
-const HOST = '0.0.0.0';
-const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
-
 // Active connections
 const activeConnections = new Map();
 
+// Each stream is a live call, with an ElevenLabs conversation until it closes
+callLimiter.setLoadSource(() => ({
+  liveCalls: activeConnections.size,
+  conversations: Array.from(activeConnections.values()).filter(connection => !connection.isClosing).length
+}));
+
+// Longest wait for Twilio to acknowledge a mark before acting anyway
+const PLAYBACK_TIMEOUT_MS = 30000;
+
+// Agent audio arrives faster than real time, so a pause this long means
+// ElevenLabs has sent the whole response
+const AGENT_AUDIO_SETTLE_MS = 750;
+
+// Whether a call still has a live media stream
+function hasActiveStream(callSid) {
+  for (const connection of activeConnections.values()) {
+    if (connection.callSid === callSid) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Live media stream of a call, or null if it has none
+function findConnection(callSid) {
+  for (const connection of activeConnections.values()) {
+    if (connection.callSid === callSid && !connection.isClosing) {
+      return connection;
+    }
+  }
+  return null;
+}
+
+// Plays audio to the caller on the agent's side of the call
+function sendAgentAudio(connection, payload) {
+  connection.twilioSocket.send(JSON.stringify({
+    event: 'media',
+    streamSid: connection.streamSid,
+    media: { payload }
+  }));
+  connection.recorder?.addAgentAudio(payload);
+  callMonitor.addAgentAudio(connection.callSid, payload);
+  connection.lastAgentAudioAt = Date.now();
+}
+
+// Looks up a call that call control endpoints can act on
+function requireLiveCall(callSid, { needsStream = true } = {}) {
+  const record = callRegistry.get(callSid);
+  if (!record) {
+    throw Object.assign(new Error('Call not found'), { statusCode: 404 });
+  }
+  if (TERMINAL_STATES.includes(record.status)) {
+    throw Object.assign(new Error(`Call is already ${record.status}`), { statusCode: 409 });
+  }
+
+  const connection = findConnection(callSid);
+  if (needsStream && !connection) {
+    throw Object.assign(new Error('Call has no active media stream'), { statusCode: 409 });
+  }
+  return { record, connection };
+}
+
+// Report each finished call once its media stream is gone, so the
+// transcript in the webhook is complete
+function notifyCallCompleted(callSid) {
+  const record = callRegistry.get(callSid);
+  
+  if (record && TERMINAL_STATES.includes(record.status) && !record.retryPending && !record.retriedBy &&
+      !hasActiveStream(callSid)) {
+    sendCompletionWebhook(record).catch(err => {
+      console.error('Error sending completion webhook:', err);
+    });
+  }
+}
+
+callRegistry.on('ended', (record) => notifyCallCompleted(record.callSid));
+
+// WebSocket URL Twilio streams call audio to
+function getStreamUrl() {
+  return BASE_URL.replace(/^http/, 'ws') + '/call-stream';
+}
+
+// TwiML that streams a call to the agent. The stream gets the ID of the
+// call's context and a token proving the TwiML came from us.
+function buildCallStreamTwiml(callSid, contextId) {
+  return buildStreamTwiml(getStreamUrl(), {
+    context_id: contextId,
+    token: createStreamToken(callSid, contextId)
+  });
+}
+
+// TwiML that leaves a voicemail: a fixed message, or the agent reading its
+// voicemail script over a one-way stream
+function buildVoicemailTwiml(settings, record) {
+  if (settings.action === 'agent') {
+    // Same agent and voice as the call, reading the voicemail script
+    const contextId = callContexts.create({
+      ...record,
+      mode: 'voicemail',
+      prompt: DEFAULT_VOICEMAIL_PROMPT,
+      firstMessage: settings.script || settings.message
+    }, record.callSid);
+    return buildCallStreamTwiml(record.callSid, contextId);
+  }
+
+  const response = new VoiceResponse();
+  if (settings.audioUrl) {
+    response.play(settings.audioUrl);
+  } else {
+    response.say(settings.message);
+  }
+  return response.hangup().toString();
+}
+
 // Create the server instance
 const server = Fastify({
-  logger: true,
+  logger: {
+    serializers: {
+      // Fastify's default request fields, without keys passed in the URL
+      req(request) {
+        return {
+          method: request.method,
+          url: redactUrl(request.url),
+          host: request.host,
+          remoteAddress: request.ip,
+          remotePort: request.socket?.remotePort
+        };
+      }
+    }
+  },
 });
 
 // Register plugins
 async function setupServer() {
-  // CORS for cross-origin requests
+  // CORS for cross-origin requests, from the origins in CORS_ORIGINS only
+  const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
   await server.register(cors, { 
-    origin: true,
+    origin: corsOrigins.length > 0 ? corsOrigins : false,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   });
+  
+  // API key authentication. Each route needs a scope (see services/auth.js);
+  // Twilio's webhooks and the health check are public.
+  loadApiKeys();
+  server.addHook('onRequest', async (request, reply) => {
+    const scope = requiredScope(request);
+    if (!scope) {
+      return;
+    }
+    
+    const result = authenticate(request, scope);
+    if (result.error) {
+      return reply.code(result.statusCode).send({ success: false, error: result.error });
+    }
+    request.apiKey = result.key;
+  });
+  
+  // Twilio's webhooks must be signed with our auth token. The signature
+  // covers the form parameters, so this runs once the body is parsed.
+  if (isSignatureValidationEnabled()) {
+    server.addHook('preValidation', async (request, reply) => {
+      if (!isTwilioWebhook(request)) {
+        return;
+      }
+      
+      const { valid, reason } = validateTwilioSignature(request);
+      if (!valid) {
+        console.warn(`Rejected ${request.method} ${request.url} from ${request.ip}: ${reason}`);
+        return reply.code(403).send('Invalid Twilio signature');
+      }
+    });
+  } else {
+    console.warn('SKIP_TWILIO_SIGNATURE_VALIDATION is set: Twilio webhooks are not verified');
+  }
 
   // Form body parser for handling form data
   await server.register(formBody);
+  
+  // CSV uploads for POST /do-not-call/import
+  server.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
 
   // WebSocket support
   await server.register(websocket, {
@@ -567,7 +877,8 @@ async function setupServer() {
           
           <div class="panel">
             <h2>Test Connection</h2>
-            <p>This will test the connection to ElevenLabs using their official client.</p>
+            <p>This will test the connection to ElevenLabs using their official client. Both checks need an API key with the admin scope.</p>
+            <p><input id="adminKey" type="password" placeholder="API key" /></p>
             <button id="testButton">Test Connection</button>
             <div id="result" style="margin-top: 10px;"></div>
           </div>
@@ -595,6 +906,11 @@ async function setupServer() {
             const result = document.getElementById('result');
             const testButton = document.getElementById('testButton');
             
+            // Key for the admin-only checks below
+            function authHeaders() {
+              return { 'X-API-Key': document.getElementById('adminKey').value };
+            }
+            
             function logMessage(msg, isError = false) {
               const entry = document.createElement('div');
               entry.textContent = new Date().toISOString() + ': ' + msg;
@@ -614,7 +930,8 @@ async function setupServer() {
                 // First test: API key validation
                 logMessage('Testing API key...');
                 const userResponse = await fetch('/test-user', {
-                  method: 'GET'
+                  method: 'GET',
+                  headers: authHeaders()
                 });
                 
                 if (!userResponse.ok) {
@@ -658,7 +975,8 @@ async function setupServer() {
               try {
                 // Get user subscription info
                 const subResponse = await fetch('/test-subscription', {
-                  method: 'GET'
+                  method: 'GET',
+                  headers: authHeaders()
                 });
                 
                 if (!subResponse.ok) {
@@ -838,6 +1156,7 @@ async function setupServer() {
         <body>
           <h1>WebSocket Debug Tool</h1>
           <p>This will test WebSocket connection to: <span class="highlight">${wsUrl}</span></p>
+          <p>Conversations only start on streams opened by a call's own TwiML, which carries a signed token, so the test message is Twilio's <code>connected</code> event. It shows up in the server log and leaves the socket open.</p>
           <div class="log" id="log"></div>
           <div>
             <button id="connect">Connect</button>
@@ -890,15 +1209,9 @@ async function setupServer() {
               
               try {
                 const testMessage = JSON.stringify({
-                  event: 'start',
-                  start: {
-                    streamSid: 'test-stream-sid',
-                    callSid: 'test-call-sid',
-                    customParameters: {
-                      prompt: 'This is a test prompt',
-                      first_message: 'This is a test message'
-                    }
-                  }
+                  event: 'connected',
+                  protocol: 'Call',
+                  version: '1.0.0'
                 });
                 
                 socket.send(testMessage);
@@ -931,6 +1244,112 @@ async function setupServer() {
     `);
   });
 
+  // Supervisor page: listen to a live call and follow its transcript
+  server.get('/listen', async (request, reply) => {
+    reply.type('text/html').send(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>Listen to a Call</title>
+          <style>
+            body { font-family: Arial, sans-serif; padding: 20px; }
+            .log { background: #f0f0f0; padding: 10px; height: 300px; overflow-y: auto; margin-bottom: 10px; }
+            input { padding: 8px; margin-right: 5px; width: 260px; }
+            button { padding: 10px; margin-right: 5px; }
+            .agent { color: #007bff; }
+            .user { color: #28a745; }
+          </style>
+        </head>
+        <body>
+          <h1>Listen to a Call</h1>
+          <div>
+            <input id="callSid" placeholder="Call SID (CA...)" />
+            <input id="apiKey" type="password" placeholder="API key" />
+            <button id="listen">Listen</button>
+            <button id="stop">Stop</button>
+          </div>
+          <p id="status">Not connected</p>
+          <div class="log" id="log"></div>
+          
+          <script>
+            const log = document.getElementById('log');
+            const status = document.getElementById('status');
+            let socket;
+            let audioContext;
+            let playAt = 0;
+            
+            function logLine(text, className) {
+              const entry = document.createElement('div');
+              entry.textContent = text;
+              if (className) entry.className = className;
+              log.appendChild(entry);
+              log.scrollTop = log.scrollHeight;
+            }
+            
+            // Queue each 16-bit PCM frame right after the previous one
+            function playFrame(data) {
+              const samples = new Int16Array(data);
+              const buffer = audioContext.createBuffer(1, samples.length, 8000);
+              const channel = buffer.getChannelData(0);
+              for (let i = 0; i < samples.length; i++) channel[i] = samples[i] / 32768;
+              
+              const source = audioContext.createBufferSource();
+              source.buffer = buffer;
+              source.connect(audioContext.destination);
+              playAt = Math.max(playAt, audioContext.currentTime + 0.05);
+              source.start(playAt);
+              playAt += buffer.duration;
+            }
+            
+            document.getElementById('listen').addEventListener('click', async () => {
+              const callSid = document.getElementById('callSid').value.trim();
+              const apiKey = document.getElementById('apiKey').value;
+              const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+              
+              // Swap the key for a token good for this call only, so the key
+              // stays out of the socket's URL
+              const response = await fetch('/calls/' + encodeURIComponent(callSid) + '/listen-token', {
+                method: 'POST',
+                headers: { 'X-API-Key': apiKey }
+              });
+              const result = await response.json();
+              if (!response.ok) {
+                status.textContent = 'Error: ' + result.error;
+                return;
+              }
+              
+              audioContext = audioContext || new AudioContext({ sampleRate: 8000 });
+              socket = new WebSocket(protocol + '://' + location.host + '/calls/' + encodeURIComponent(callSid) +
+                '/listen?token=' + encodeURIComponent(result.token));
+              socket.binaryType = 'arraybuffer';
+              
+              socket.onopen = () => { status.textContent = 'Listening to ' + callSid; };
+              socket.onclose = (event) => { status.textContent = 'Disconnected (' + event.code + ')'; };
+              socket.onmessage = (event) => {
+                if (typeof event.data !== 'string') {
+                  playFrame(event.data);
+                  return;
+                }
+                const message = JSON.parse(event.data);
+                if (message.type === 'transcript') {
+                  logLine(message.speaker + ': ' + message.text, message.speaker);
+                } else if (message.type === 'status') {
+                  logLine('Call ' + message.status);
+                } else if (message.type === 'ended') {
+                  logLine('Call ended');
+                }
+              };
+            });
+            
+            document.getElementById('stop').addEventListener('click', () => {
+              if (socket) socket.close();
+            });
+          </script>
+        </body>
+      </html>
+    `);
+  });
+
   // Call status callback endpoint
   server.post('/call-status', async (request, reply) => {
     const body = request.body;
@@ -945,167 +1364,704 @@ async function setupServer() {
       timestamp: new Date().toISOString()
     });
     
+    if (body.CallSid && body.CallStatus) {
+      // Calls placed outside this server still get a record
+      if (!callRegistry.get(body.CallSid)) {
+        callRegistry.create(body.CallSid, {
+          direction: body.Direction && body.Direction.startsWith('outbound') ? 'outbound' : 'inbound',
+          from: body.From || null,
+          to: body.To || null
+        });
+      }
+      if (body.ErrorCode) {
+        callRegistry.update(body.CallSid, {
+          error: `Twilio error ${body.ErrorCode}${body.ErrorMessage ? `: ${body.ErrorMessage}` : ''}`
+        });
+      }
+      callRegistry.updateStatus(body.CallSid, body.CallStatus, { duration: body.CallDuration });
+    }
+    
     // Simply return OK for Twilio status callbacks
     return reply.code(200).send('OK');
   });
 
-  // TwiML endpoint for call instructions
-  server.post('/call-twiml', async (request, reply) => {
-    try {
-      console.log('TwiML request received');
-      
-      const body = request.body;
-      const prompt = body.prompt || 'You are a friendly AI assistant.';
-      const firstMessage = body.first_message || 'Hello, this is an AI assistant calling you.';
-      
-      // Get BASE_URL and ensure it's properly formatted
-      const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-      
-      // Use the full URL format to ensure it works
-      const streamUrl = baseUrl.replace(/^http/, 'ws').replace(/^https/, 'wss') + '/call-stream';
-      
-      console.log('Using WebSocket stream URL:', streamUrl);
-      
-      // Create TwiML response
-      const twiml = `
-        <Response>
-          <Connect>
-            <Stream url="${streamUrl}">
-              <Parameter name="prompt" value="${prompt}" />
-              <Parameter name="first_message" value="${firstMessage}" />
-            </Stream>
-          </Connect>
-        </Response>
-      `;
-      
+  // Outcome of a transfer: the <Dial> action, or status callbacks of the
+  // human's leg when the caller waits in a conference
+  server.post('/transfer-status', async (request, reply) => {
+    const body = request.body;
+    const callSid = request.query.callSid;
+    const dialStatus = body.DialCallStatus || body.CallStatus;
+    
+    console.log('Transfer status update:', { callSid, dialStatus });
+    
+    const isUnanswered = updateTransferStatus(callSid, dialStatus);
+    
+    // <Dial> action - tell Twilio what the caller hears next
+    if (body.DialCallStatus) {
       reply.header('Content-Type', 'application/xml');
-      return reply.send(twiml);
-    } catch (error) {
-      console.error('Error generating TwiML:', error);
-      return reply.code(500).send('Error generating call instructions');
+      return reply.send(isUnanswered ? buildTransferUnavailableTwiml() : new VoiceResponse().hangup().toString());
     }
+    
+    // The human never joined the conference - stop the hold music
+    if (isUnanswered) {
+      await redirectCall(callSid, buildTransferUnavailableTwiml())
+        .catch(err => console.error('Error ending unanswered transfer:', err));
+    }
+    return reply.code(200).send('OK');
   });
 
-  // Outbound call initiation endpoint for n8n
-  server.post('/make-outbound-call', async (request, reply) => {
+  // Async answering machine detection result for calls placed with machineDetection
+  server.post('/amd-status', async (request, reply) => {
+    const body = request.body;
+    const record = callRegistry.get(body.CallSid);
+    
+    console.log('Answering machine detection result:', {
+      callSid: body.CallSid,
+      answeredBy: body.AnsweredBy,
+      detectionMs: body.MachineDetectionDuration
+    });
+    
+    if (!record) {
+      return reply.code(200).send('OK');
+    }
+    
+    callRegistry.update(body.CallSid, { answeredBy: body.AnsweredBy || 'unknown' });
+    
+    const settings = record.machineDetection;
+    if (!settings || !isMachineAnswer(body.AnsweredBy) || TERMINAL_STATES.includes(record.status)) {
+      return reply.code(200).send('OK');
+    }
+    
     try {
-      console.log('Received make-outbound-call request:', request.body);
-      
-      // Parse the body data
-      let body = request.body;
-      
-      // Check if body is a string (could happen with certain content types)
-      if (typeof body === 'string') {
-        try {
-          body = JSON.parse(body);
-        } catch (e) {
-          console.error('Error parsing request body:', e);
-        }
-      }
-      
-      const phoneNumber = body.phoneNumber || body.number;
-      const prompt = body.prompt || 'You are a friendly AI assistant making a phone call.';
-      const firstMessage = body.firstMessage || body.first_message || 'Hello, this is an automated call from an AI assistant.';
-      
-      if (!phoneNumber) {
-        return reply.code(400).send({
-          success: false,
-          error: 'Phone number is required'
-        });
+      if (settings.action === 'hangup') {
+        await hangUpCall(body.CallSid);
+      } else {
+        await redirectCall(body.CallSid, buildVoicemailTwiml(settings, record));
       }
-      
-      // Format phone number if needed
-      const formattedNumber = phoneNumber.startsWith('+') 
-        ? phoneNumber 
-        : `+${phoneNumber}`;
-      
-      // Initialize call with Twilio
-      const call = await twilioClient.calls.create({
-        to: formattedNumber,
-        from: process.env.TWILIO_PHONE_NUMBER || '',
-        url: `${BASE_URL}/call-twiml`,
-        statusCallback: `${BASE_URL}/call-status`,
-        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        statusCallbackMethod: 'POST',
-      });
-      
-      return reply.code(200).send({
-        success: true,
-        message: 'Call initiated successfully',
-        callSid: call.sid,
-        status: call.status,
-        to: formattedNumber
+      callRegistry.update(body.CallSid, {
+        voicemail: { action: settings.action, at: new Date().toISOString() }
       });
     } catch (error) {
-      console.error('Error initiating call:', error);
-      return reply.code(500).send({
+      console.error(`Error handling answering machine on ${body.CallSid}:`, error);
+      callRegistry.update(body.CallSid, { error: `Voicemail: ${error.message}` });
+    }
+    
+    return reply.code(200).send('OK');
+  });
+
+  // Call record lookup
+  server.get('/calls', async (request, reply) => {
+    const { status, limit = '100' } = request.query;
+    if (!/^\d+$/.test(limit) || Number(limit) < 1) {
+      return reply.code(400).send({
         success: false,
-        error: error.message || 'Unknown error occurred',
-        details: 'Failed to initiate outbound call'
+        error: 'limit must be a positive whole number'
       });
     }
+
+    return {
+      success: true,
+      calls: callRegistry.list({ status, limit: Number(limit) })
+        .map(({ transcript, ...record }) => record)
+    };
   });
 
-  // Outbound call initiation endpoint
-  server.post('/make-call', async (request, reply) => {
-    try {
-      const body = request.body;
-      const phoneNumber = body.phoneNumber;
-      const prompt = body.prompt || 'You are a friendly AI assistant making a phone call.';
-      const firstMessage = body.firstMessage || 'Hello, this is an automated call from an AI assistant.';
-      
-      if (!phoneNumber) {
-        return reply.code(400).send({
-          success: false,
-          error: 'Phone number is required'
-        });
-      }
-      
-      // Format phone number if needed
-      const formattedNumber = phoneNumber.startsWith('+') 
-        ? phoneNumber 
-        : `+${phoneNumber}`;
-      
-      // Initialize call with Twilio
-      const call = await twilioClient.calls.create({
-        to: formattedNumber,
-        from: process.env.TWILIO_PHONE_NUMBER || '',
-        url: `${BASE_URL}/call-twiml`,
-        statusCallback: `${BASE_URL}/call-status`,
-        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        statusCallbackMethod: 'POST',
+  server.get('/calls/:callSid', async (request, reply) => {
+    const record = callRegistry.get(request.params.callSid);
+    
+    if (!record) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Call not found'
       });
-      
-      return reply.code(200).send({
-        success: true,
-        message: 'Call initiated successfully',
-        callSid: call.sid,
-        status: call.status,
-        to: formattedNumber
+    }
+    
+    return { success: true, call: record };
+  });
+
+  // Stereo WAV recording - caller on the left channel, agent on the right
+  server.get('/calls/:callSid/recording', async (request, reply) => {
+    const record = callRegistry.get(request.params.callSid);
+    
+    if (!record) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Call not found'
       });
-    } catch (error) {
-      console.error('Error initiating call:', error);
-      return reply.code(500).send({
+    }
+    
+    if (!record.recording || !fs.existsSync(record.recording.file)) {
+      return reply.code(404).send({
         success: false,
-        error: error.message || 'Unknown error occurred',
-        details: 'Failed to initiate outbound call'
+        error: hasActiveStream(record.callSid)
+          ? 'Recording is not available until the call ends'
+          : 'No recording for this call'
       });
     }
+    
+    reply.header('Content-Disposition', `inline; filename="${record.callSid}.wav"`);
+    return reply.type('audio/wav').send(fs.createReadStream(record.recording.file));
   });
 
-  // Handler for WebSocket connections
-  server.register(async function (fastify) {
-    fastify.get('/call-stream', { websocket: true }, (connection) => {
-      console.log('New WebSocket connection established');
-      
-      if (!connection) {
-        console.error('Invalid connection object');
-        return;
-      }
-      
-      // With @fastify/websocket, the connection object IS the socket
-      const socket = connection;
-      console.log('Socket ready state:', socket.readyState);
+  // Conversation transcript - JSON by default, plain text with ?format=text
+  server.get('/calls/:callSid/transcript', async (request, reply) => {
+    const record = callRegistry.get(request.params.callSid);
+    
+    if (!record) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+    
+    const transcript = record.transcript || [];
+    const wantsText = request.query.format === 'text' ||
+      (!request.query.format && (request.headers.accept || '').startsWith('text/plain'));
+    
+    if (wantsText) {
+      const speakers = { agent: 'Agent', user: 'Caller', dtmf: 'Keypad', agent_dtmf: 'Agent keypad' };
+      const lines = transcript.map(entry =>
+        `[${entry.timestamp}] ${speakers[entry.speaker] || entry.speaker}: ${entry.text}`
+      );
+      return reply.type('text/plain; charset=utf-8').send(lines.join('\n'));
+    }
+    
+    return {
+      success: true,
+      callSid: record.callSid,
+      status: record.status,
+      transcript
+    };
+  });
+
+  // Live call control
+  server.post('/calls/:callSid/hangup', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      requireLiveCall(callSid, { needsStream: false });
+      
+      await hangUpCall(callSid);
+      callRegistry.update(callSid, {
+        hangup: { reason: 'api', requestedAt: new Date().toISOString() }
+      });
+      return { success: true, callSid };
+    } catch (error) {
+      console.error('Error hanging up call:', error);
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Make the agent say a given text, in the agent's voice
+  server.post('/calls/:callSid/say', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      const text = request.body?.text;
+      if (!text || typeof text !== 'string') {
+        return reply.code(400).send({ success: false, error: 'text is required' });
+      }
+      
+      const { connection } = requireLiveCall(callSid);
+      const audio = await synthesizeSpeech(text, connection.agentId || undefined, connection.voiceId);
+      
+      sendAgentAudio(connection, audio.toString('base64'));
+      callRegistry.addTranscriptEntry(callSid, { speaker: 'agent', text });
+      // Let the agent know what "it" just said, so the conversation follows on
+      connection.elevenLabsClient.sendContextualUpdate(`You just said to the caller: "${text}"`);
+      
+      return { success: true, callSid };
+    } catch (error) {
+      console.error('Error injecting speech:', error);
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Push information into the conversation, e.g. "the payment has been received"
+  server.post('/calls/:callSid/context', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      const text = request.body?.text;
+      if (!text || typeof text !== 'string') {
+        return reply.code(400).send({ success: false, error: 'text is required' });
+      }
+      
+      const { connection } = requireLiveCall(callSid);
+      connection.elevenLabsClient.sendContextualUpdate(text);
+      return { success: true, callSid };
+    } catch (error) {
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Stop (or with { "muted": false } resume) relaying the caller's audio to the agent
+  server.post('/calls/:callSid/mute', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      const muted = request.body?.muted !== false;
+      
+      const { connection } = requireLiveCall(callSid);
+      connection.isMuted = muted;
+      callRegistry.update(callSid, { muted });
+      console.log(`Caller audio on ${callSid} ${muted ? 'muted' : 'unmuted'}`);
+      return { success: true, callSid, muted };
+    } catch (error) {
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Short-lived token for opening /calls/:callSid/listen, so the listen
+  // page never puts an API key in a URL
+  server.post('/calls/:callSid/listen-token', async (request, reply) => {
+    const { callSid } = request.params;
+    const record = callRegistry.get(callSid);
+    if (!record || TERMINAL_STATES.includes(record.status)) {
+      return reply.code(404).send({ success: false, error: 'No live call with this SID' });
+    }
+    
+    return { success: true, callSid, token: createListenToken(callSid) };
+  });
+
+  // TwiML endpoint for call instructions
+  server.post('/call-twiml', async (request, reply) => {
+    try {
+      console.log('TwiML request received');
+      
+      // Set by placeCall; the prompt and the rest stay on this server
+      const contextId = request.query?.contextId || '';
+      if (!callContexts.get(contextId)) {
+        console.warn(`Unknown call context "${contextId}", the stream will use the default agent`);
+      }
+      
+      console.log('Using WebSocket stream URL:', getStreamUrl());
+      
+      // Create TwiML response
+      const twiml = buildCallStreamTwiml(request.body?.CallSid || '', contextId);
+      
+      reply.header('Content-Type', 'application/xml');
+      return reply.send(twiml);
+    } catch (error) {
+      console.error('Error generating TwiML:', error);
+      return reply.code(500).send('Error generating call instructions');
+    }
+  });
+
+  // Inbound call endpoint - set this as the voice webhook of each Twilio number
+  server.all('/inbound-call', async (request, reply) => {
+    try {
+      const params = { ...(request.query || {}), ...(request.body || {}) };
+      const route = resolveInboundRoute(params.To);
+
+      console.log('Inbound call received:', {
+        callSid: params.CallSid,
+        from: params.From,
+        to: params.To,
+        route: route ? route.name || route.number : 'none'
+      });
+
+      if (!route) {
+        console.warn(`No inbound route for ${params.To}, using default agent`);
+      }
+
+      // A route with its own agent or language keeps that agent's prompt
+      // and first message unless it gives its own (null = the agent's)
+      const keepAgentPrompt = keepsAgentPrompt(route || {});
+      const conversation = {
+        direction: 'inbound',
+        prompt: route?.prompt || (keepAgentPrompt ? null : 'You are a friendly AI assistant answering a phone call.'),
+        firstMessage: route?.firstMessage || (keepAgentPrompt ? null : 'Hello, thanks for calling. How can I help you today?'),
+        agentId: route?.agentId || null,
+        voiceId: route?.voiceId || null,
+        language: route?.language || null,
+        llm: route?.llm || null
+      };
+      const contextId = callContexts.create(conversation, params.CallSid || null);
+
+      if (params.CallSid) {
+        callRegistry.create(params.CallSid, {
+          ...conversation,
+          from: params.From,
+          to: params.To,
+          status: params.CallStatus || 'ringing'
+        });
+      }
+
+      const twiml = buildCallStreamTwiml(params.CallSid || '', contextId);
+
+      reply.header('Content-Type', 'application/xml');
+      return reply.send(twiml);
+    } catch (error) {
+      console.error('Error handling inbound call:', error);
+      return reply.code(500).send('Error generating call instructions');
+    }
+  });
+
+  // Shared by /make-call and /make-outbound-call: validate the request, then
+  // either place the call now or hand it to the scheduler
+  async function handleOutboundCallRequest(body, reply, apiKey) {
+    try {
+      const phoneNumber = body.phoneNumber;
+      // With variables or the caller's choice of agent or language, the
+      // agent's own prompt and first message are used unless the request
+      // gives its own (null = the agent's)
+      const keepAgentPrompt = keepsAgentPrompt(body);
+      const prompt = body.prompt || (keepAgentPrompt ? null : DEFAULT_OUTBOUND_PROMPT);
+      const firstMessage = body.firstMessage || (keepAgentPrompt ? null : DEFAULT_OUTBOUND_FIRST_MESSAGE);
+      
+      if (!phoneNumber) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Phone number is required'
+        });
+      }
+      
+      if (body.callbackUrl && !isValidCallbackUrl(body.callbackUrl)) {
+        return reply.code(400).send({
+          success: false,
+          error: 'callbackUrl must be an absolute http(s) URL'
+        });
+      }
+      
+      let to;
+      let plan;
+      let retryPolicy;
+      let machineDetection;
+      let agentOverrides;
+      let variables;
+      try {
+        to = normalizePhoneNumber(phoneNumber);
+        assertNotOnDoNotCallList(to);
+        retryPolicy = body.retry ? resolveRetryPolicy(body.retry) : getDefaultRetryPolicy();
+        machineDetection = resolveMachineDetection(body.machineDetection);
+        agentOverrides = resolveAgentOverrides(body);
+        variables = body.variables
+          ? await resolveDynamicVariables(body.variables, { agentId: agentOverrides.agentId, prompt, firstMessage })
+          : null;
+        plan = planCall({
+          to,
+          scheduledAt: body.scheduledAt,
+          timezone: body.timezone,
+          callingWindow: body.callingWindow
+        });
+      } catch (error) {
+        // code (e.g. "premium_rate") lets callers branch on the reason
+        return reply.code(error.statusCode || 400).send({
+          success: false,
+          error: error.message,
+          ...(error.code ? { code: error.code } : {})
+        });
+      }
+      
+      const callOptions = {
+        to,
+        prompt,
+        firstMessage,
+        callbackUrl: body.callbackUrl || null,
+        record: typeof body.record === 'boolean' ? body.record : null,
+        retryPolicy,
+        machineDetection,
+        ...agentOverrides,
+        variables,
+        timezone: plan.timezone,
+        callingWindow: body.callingWindow || null
+      };
+      
+      // Calls per minute per key, and for calls placed now the concurrency
+      // caps. With queue: true the call waits in the scheduler instead.
+      const keyName = apiKey?.name || null;
+      const limit = callLimiter.checkRate(keyName) || (plan.runAt ? null : callLimiter.checkCapacity());
+      if (limit && !body.queue) {
+        reply.header('Retry-After', String(limit.retryAfter));
+        return reply.code(429).send({
+          success: false,
+          error: limit.message,
+          code: limit.code,
+          retryAfter: limit.retryAfter
+        });
+      }
+      if (limit) {
+        // The scheduler holds due calls back until the caps allow them
+        const runAt = Math.max(callLimiter.nextCallTime(keyName), plan.runAt?.getTime() || Date.now());
+        plan = { ...plan, runAt: new Date(runAt) };
+      }
+      
+      // Too early, outside the recipient's calling window, or over a limit -
+      // place it later. Queued calls count against the key when they are
+      // due to be placed.
+      if (plan.runAt) {
+        const job = callScheduler.schedule(callOptions, plan);
+        callLimiter.recordCall(keyName, limit ? plan.runAt.getTime() : Date.now());
+        return reply.code(202).send({
+          success: true,
+          message: limit ? 'Call queued' : 'Call scheduled',
+          ...(limit ? { code: limit.code } : {}),
+          scheduledCallId: job.id,
+          runAt: job.runAt,
+          timezone: job.timezone,
+          to
+        });
+      }
+      
+      // Initialize call with Twilio. The call is counted against the key
+      // right away, so concurrent requests see it, and taken back if Twilio
+      // refuses it.
+      const charge = callLimiter.recordCall(keyName);
+      let placed;
+      try {
+        placed = await callLimiter.track(() => placeCall(callOptions));
+      } catch (error) {
+        callLimiter.refundCall(keyName, charge);
+        throw error;
+      }
+      const { call, record } = placed;
+      
+      return reply.code(200).send({
+        success: true,
+        message: 'Call initiated successfully',
+        callSid: call.sid,
+        status: call.status,
+        to: record.to
+      });
+    } catch (error) {
+      console.error('Error initiating call:', error);
+      return reply.code(500).send({
+        success: false,
+        error: error.message || 'Unknown error occurred',
+        details: 'Failed to initiate outbound call'
+      });
+    }
+  }
+
+  // Outbound call initiation endpoint for n8n
+  server.post('/make-outbound-call', async (request, reply) => {
+    console.log('Received make-outbound-call request:', request.body);
+    
+    // Parse the body data
+    let body = request.body || {};
+    
+    // Check if body is a string (could happen with certain content types)
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        console.error('Error parsing request body:', e);
+      }
+    }
+    
+    return handleOutboundCallRequest({
+      ...body,
+      phoneNumber: body.phoneNumber || body.number,
+      firstMessage: body.firstMessage || body.first_message
+    }, reply, request.apiKey);
+  });
+
+  // Outbound call initiation endpoint
+  server.post('/make-call', async (request, reply) => {
+    return handleOutboundCallRequest(request.body || {}, reply, request.apiKey);
+  });
+
+  // Scheduled calls
+  server.get('/scheduled-calls', async (request) => {
+    return {
+      success: true,
+      scheduledCalls: callScheduler.list(request.query.status)
+    };
+  });
+
+  server.get('/scheduled-calls/:id', async (request, reply) => {
+    const job = callScheduler.get(request.params.id);
+    
+    if (!job) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Scheduled call not found'
+      });
+    }
+    
+    return { success: true, scheduledCall: job };
+  });
+
+  server.delete('/scheduled-calls/:id', async (request, reply) => {
+    try {
+      return { success: true, scheduledCall: callScheduler.cancel(request.params.id) };
+    } catch (error) {
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Do-not-call list, checked before every outbound call
+  server.get('/do-not-call', async () => {
+    const entries = doNotCallList.list();
+    return { success: true, count: entries.length, entries };
+  });
+
+  server.get('/do-not-call/:number', async (request) => {
+    const entry = doNotCallList.get(request.params.number);
+    return { success: true, listed: Boolean(entry), entry: entry || null };
+  });
+
+  server.post('/do-not-call', async (request, reply) => {
+    try {
+      const { phoneNumber, reason } = request.body || {};
+      const { entry, created } = doNotCallList.add(phoneNumber, { reason: reason || null, source: 'api' });
+      return reply.code(created ? 201 : 200).send({ success: true, created, entry });
+    } catch (error) {
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message,
+        ...(error.code ? { code: error.code } : {})
+      });
+    }
+  });
+
+  server.delete('/do-not-call/:number', async (request, reply) => {
+    if (!doNotCallList.remove(request.params.number)) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Number is not on the do-not-call list'
+      });
+    }
+    return { success: true };
+  });
+
+  // Bulk import: a text/csv body, or JSON { csv, reason }
+  server.post('/do-not-call/import', async (request, reply) => {
+    const body = request.body;
+    const csv = typeof body === 'string' ? body : body?.csv;
+    if (!csv || typeof csv !== 'string') {
+      return reply.code(400).send({
+        success: false,
+        error: 'Send the CSV as a text/csv body, or as "csv" in a JSON body'
+      });
+    }
+    
+    const reason = (typeof body === 'string' ? request.query.reason : body.reason) || null;
+    const result = doNotCallList.importCsv(csv, reason);
+    console.log(`Do-not-call import: ${result.added} added, ${result.alreadyListed} already listed, ${result.invalid.length} invalid`);
+    return { success: true, ...result };
+  });
+
+  // Batch outbound campaigns
+  server.post('/campaigns', async (request, reply) => {
+    try {
+      const body = request.body || {};
+      
+      if (body.callbackUrl && !isValidCallbackUrl(body.callbackUrl)) {
+        return reply.code(400).send({
+          success: false,
+          error: 'callbackUrl must be an absolute http(s) URL'
+        });
+      }
+      
+      const campaign = await campaignManager.create(body, request.apiKey?.name || null);
+      return reply.code(201).send({
+        success: true,
+        campaign: { ...campaign, counts: campaignManager.summarize(campaign) }
+      });
+    } catch (error) {
+      return reply.code(error.statusCode || 400).send({
+        success: false,
+        error: error.message,
+        ...(error.code ? { code: error.code } : {})
+      });
+    }
+  });
+
+  server.get('/campaigns', async () => {
+    return {
+      success: true,
+      campaigns: campaignManager.list().map(({ recipients, ...campaign }) => ({
+        ...campaign,
+        total: recipients.length,
+        counts: campaignManager.summarize({ recipients })
+      }))
+    };
+  });
+
+  server.get('/campaigns/:id', async (request, reply) => {
+    const campaign = campaignManager.get(request.params.id);
+    
+    if (!campaign) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    
+    return {
+      success: true,
+      campaign: { ...campaign, counts: campaignManager.summarize(campaign) }
+    };
+  });
+
+  // Pause, resume or cancel a campaign
+  server.post('/campaigns/:id/:action', async (request, reply) => {
+    const { id, action } = request.params;
+    
+    if (!['pause', 'resume', 'cancel'].includes(action)) {
+      return reply.code(404).send({
+        success: false,
+        error: `Unknown campaign action: ${action}`
+      });
+    }
+    
+    try {
+      const campaign = campaignManager[action](id);
+      return {
+        success: true,
+        campaign: { ...campaign, counts: campaignManager.summarize(campaign) }
+      };
+    } catch (error) {
+      return reply.code(error.statusCode || 500).send({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Handler for WebSocket connections
+  server.register(async function (fastify) {
+    // Supervisor listen-in: mixed call audio plus transcript events.
+    // Needs a "transcripts" key or a listen token; browsers can't set
+    // headers on a WebSocket, so this is the one route that takes either
+    // in the query string
+    fastify.get('/calls/:callSid/listen', {
+      websocket: true,
+      preValidation: async (request, reply) => {
+        const record = callRegistry.get(request.params.callSid);
+        if (!record || TERMINAL_STATES.includes(record.status)) {
+          return reply.code(404).send({ success: false, error: 'No live call with this SID' });
+        }
+      }
+    }, (socket, request) => {
+      console.log(`Supervisor listening to ${request.params.callSid}`);
+      callMonitor.addListener(request.params.callSid, socket);
+    });
+    
+    fastify.get('/call-stream', { websocket: true }, (connection) => {
+      console.log('New WebSocket connection established');
+      
+      if (!connection) {
+        console.error('Invalid connection object');
+        return;
+      }
+      
+      // With @fastify/websocket, the connection object IS the socket
+      const socket = connection;
+      console.log('Socket ready state:', socket.readyState);
       
       let streamSid = null;
       let callSid = null;
@@ -1129,27 +2085,147 @@ async function setupServer() {
               return;
             }
             
+            // Only streams opened by our TwiML, for calls we placed or
+            // answered, get a conversation
             const parameters = message.start?.customParameters || {};
-            const prompt = parameters.prompt || 'You are a friendly AI assistant.';
-            const firstMessage = parameters.first_message || 'Hello, this is an AI assistant calling you.';
+            const token = verifyStreamToken(parameters.token, callSid, parameters.context_id);
+            const callRecord = callRegistry.get(callSid);
+            const refusal = !token.valid ? token.reason
+              : !callRecord ? 'not a call placed or answered here'
+              : TERMINAL_STATES.includes(callRecord.status) ? `call is already ${callRecord.status}`
+              : null;
+            if (refusal) {
+              console.warn(`Refused media stream for ${callSid}: ${refusal}`);
+              streamSid = null;
+              callSid = null;
+              socket.close(1008, 'Unauthorized stream');
+              return;
+            }
+            
+            // Prompt, variables and agent settings stay server-side; the
+            // stream only carries the ID of the call's context
+            const context = callContexts.get(parameters.context_id);
+            if (!context) {
+              console.warn(`No call context for ${callSid}, using the default agent and prompt`);
+            }
+            const agentId = context?.agentId || null;
+            const voiceId = context?.voiceId || null;
+            // One-way stream that leaves a voicemail, see /amd-status
+            const isVoicemail = context?.mode === 'voicemail';
+            
+            console.log(`Call started: ${callSid}, Stream: ${streamSid}, Direction: ${context?.direction || 'outbound'}`);
+            console.log(`Prompt: ${context?.prompt ?? '(agent prompt)'}`);
+            console.log(`First message: ${context?.firstMessage ?? '(agent first message)'}`);
             
-            console.log(`Call started: ${callSid}, Stream: ${streamSid}`);
-            console.log(`Prompt: ${prompt}`);
-            console.log(`First message: ${firstMessage}`);
+            callRegistry.update(callSid, { streamSid });
+            callRegistry.updateStatus(callSid, 'in-progress');
             
             try {
               // Initialize ElevenLabs client
               const elevenLabsClient = new ElevenLabsClient({
                 streamSid,
                 twilioSocket: socket,
-                prompt,
-                firstMessage
+                prompt: context?.prompt,
+                firstMessage: context?.firstMessage,
+                agentId,
+                voiceId,
+                language: context?.language,
+                llm: context?.llm,
+                dynamicVariables: context?.variables
+              });
+              
+              // Keep every turn of the conversation with the call record
+              const recordSid = callSid;
+              elevenLabsClient.on('transcript', (entry) => {
+                callRegistry.addTranscriptEntry(recordSid, entry);
+              });
+              elevenLabsClient.on('transcriptCorrection', (correction) => {
+                callRegistry.correctTranscriptEntry(recordSid, correction);
+              });
+              elevenLabsClient.on('conversationStarted', (conversationId) => {
+                callRegistry.update(recordSid, { conversationId });
+              });
+              
+              // Record both sides of the call if enabled for this call or globally
+              const shouldRecord = callRegistry.get(callSid)?.record ?? isRecordingEnabledByDefault();
+              const recorder = shouldRecord ? new CallRecorder({ callSid }) : null;
+              if (recorder) {
+                elevenLabsClient.on('audio', (payload) => recorder.addAgentAudio(payload));
+                elevenLabsClient.on('interruption', () => recorder.clearAgentAudio());
+              }
+              
+              // Feed supervisors listening in; a no-op unless someone is
+              elevenLabsClient.on('audio', (payload) => callMonitor.addAgentAudio(callSid, payload));
+              elevenLabsClient.on('interruption', () => callMonitor.clearAgentAudio(callSid));
+              
+              // End the call once the agent is done: after the voicemail
+              // script, when the agent calls its "end_call" tool or says one
+              // of END_CALL_PHRASES, or when ElevenLabs ends the conversation
+              elevenLabsClient.on('audio', () => {
+                const connection = activeConnections.get(streamSid);
+                if (connection) {
+                  connection.lastAgentAudioAt = Date.now();
+                }
+              });
+              elevenLabsClient.on('transcript', (entry) => {
+                if (entry.speaker !== 'agent') {
+                  return;
+                }
+                if (isVoicemail) {
+                  hangUpAfterPlayback('voicemail');
+                } else if (containsPhrase(entry.text, process.env.END_CALL_PHRASES)) {
+                  hangUpAfterPlayback('closing_phrase');
+                }
+              });
+              elevenLabsClient.on('conversationEnded', () => {
+                hangUpAfterPlayback('conversation_ended');
+              });
+              
+              // Hand the caller to a human when the agent calls its "transfer"
+              // tool or the caller says one of TRANSFER_KEYWORDS
+              elevenLabsClient.on('toolCall', (toolCall) => handleToolCall(toolCall));
+              elevenLabsClient.on('transcript', (entry) => {
+                if (entry.speaker === 'user' && matchesTransferKeyword(entry.text)) {
+                  startTransfer({ reason: 'keyword' });
+                }
+              });
+              
+              // Callees who ask not to be called again go on the do-not-call list
+              elevenLabsClient.on('transcript', (entry) => {
+                if (entry.speaker === 'user' && matchesOptOutPhrase(entry.text)) {
+                  recordOptOut(entry.text);
+                }
+              });
+              
+              // Keypad presses go to the agent, and into the transcript, in
+              // groups rather than one key at a time
+              const dtmf = new DtmfCollector((digits) => {
+                console.log(`Caller ${callSid} entered ${digits}`);
+                callRegistry.addTranscriptEntry(recordSid, { speaker: 'dtmf', text: digits });
+                if (getDtmfMode() === 'contextual_update') {
+                  elevenLabsClient.sendContextualUpdate(describeDigits(digits));
+                } else {
+                  elevenLabsClient.sendUserMessage(describeDigits(digits));
+                }
               });
               
               // Store the connection
               activeConnections.set(streamSid, {
+                callSid,
+                streamSid,
+                contextId: parameters.context_id || null,
+                agentId,
+                voiceId,
                 twilioSocket: socket,
                 elevenLabsClient,
+                recorder,
+                dtmf,
+                voicemail: isVoicemail,
+                isMuted: false,   // Caller audio is not relayed to the agent while muted
+                lastAgentAudioAt: 0,
+                hangup: null,     // Set once the agent has ended the call
+                markCount: 0,
+                pendingMarks: new Map(), // mark name -> callback once played
                 isReady: false,  // Track if the connection is ready to receive audio
                 audioQueue: [],   // Queue for audio while initializing
                 startTime: Date.now()
@@ -1180,6 +2256,7 @@ async function setupServer() {
                 })
                 .catch(err => {
                   console.error('❌ Error starting conversation:', err);
+                  callRegistry.update(recordSid, { error: `ElevenLabs: ${err.message}` });
                   // Log connection attempts and WebSocket state
                   console.log('Connection attempts:', elevenLabsClient.connectionAttempts);
                   if (elevenLabsClient.ws) {
@@ -1199,6 +2276,16 @@ async function setupServer() {
             if (payload && activeConnections.has(streamSid)) {
               const connection = activeConnections.get(streamSid);
               
+              if (connection.recorder) {
+                connection.recorder.addCallerAudio(payload, message.media.timestamp);
+              }
+              callMonitor.addCallerAudio(connection.callSid, payload);
+              
+              // Nobody is listening on a voicemail stream, or the caller is muted
+              if (connection.voicemail || connection.isMuted) {
+                return;
+              }
+              
               // Check if the connection is ready to receive audio
               if (connection.isReady && connection.elevenLabsClient) {
                 // Connection is ready, send audio directly
@@ -1226,22 +2313,24 @@ async function setupServer() {
               }
             }
           }
+          // DTMF event - the caller pressed a key
+          else if (message.event === 'dtmf' && streamSid) {
+            const digit = message.dtmf?.digit;
+            
+            if (digit && activeConnections.has(streamSid)) {
+              activeConnections.get(streamSid).dtmf.add(digit);
+            }
+          }
+          // Mark event - Twilio has played the agent audio up to this mark
+          else if (message.event === 'mark' && streamSid) {
+            const connection = activeConnections.get(streamSid);
+            
+            connection?.pendingMarks.get(message.mark?.name)?.();
+          }
           // Stop event - clean up
           else if (message.event === 'stop' && streamSid) {
             console.log('Call ended, cleaning up');
-            
-            if (activeConnections.has(streamSid)) {
-              const connection = activeConnections.get(streamSid);
-              
-              if (connection && connection.elevenLabsClient) {
-                connection.elevenLabsClient.endConversation()
-                  .catch(err => {
-                    console.error('Error ending conversation:', err);
-                  });
-                
-                activeConnections.delete(streamSid);
-              }
-            }
+            cleanupConnection(streamSid);
           }
         } catch (error) {
           console.error('Error processing WebSocket message:', error);
@@ -1252,17 +2341,8 @@ async function setupServer() {
       socket.on('close', (code, reason) => {
         console.log(`WebSocket connection closed: ${code}, ${reason || 'No reason provided'}`);
         
-        if (streamSid && activeConnections.has(streamSid)) {
-          const connection = activeConnections.get(streamSid);
-          
-          if (connection && connection.elevenLabsClient) {
-            connection.elevenLabsClient.endConversation()
-              .catch(err => {
-                console.error('Error ending conversation on socket close:', err);
-              });
-            
-            activeConnections.delete(streamSid);
-          }
+        if (streamSid) {
+          cleanupConnection(streamSid);
         }
       });
       
@@ -1270,12 +2350,200 @@ async function setupServer() {
       socket.on('error', (error) => {
         console.error('WebSocket error:', error);
       });
+      
+      // Run a callback once Twilio has played all agent audio sent so far.
+      // Skipped if the stream closes first.
+      function afterPlayback(connection, callback) {
+        const name = `playback-${++connection.markCount}`;
+        let hasRun = false;
+        const run = () => {
+          if (hasRun) {
+            return;
+          }
+          hasRun = true;
+          connection.pendingMarks.delete(name);
+          if (!connection.isClosing) {
+            callback();
+          }
+        };
+        
+        connection.pendingMarks.set(name, run);
+        socket.send(JSON.stringify({ event: 'mark', streamSid, mark: { name } }));
+        setTimeout(run, PLAYBACK_TIMEOUT_MS);
+      }
+      
+      // Answer client tool calls from the agent
+      function handleToolCall(toolCall) {
+        const connection = activeConnections.get(streamSid);
+        if (!connection) {
+          return;
+        }
+        
+        switch (toolCall.name) {
+          case 'end_call':
+            connection.elevenLabsClient.sendToolResult(toolCall.id, 'Ending the call');
+            hangUpAfterPlayback('tool');
+            break;
+            
+          case 'send_dtmf': {
+            // Navigate phone menus: play the tones into the call like agent speech
+            const digits = String(toolCall.parameters.digits ?? '');
+            if (!isValidDtmfSequence(digits)) {
+              connection.elevenLabsClient.sendToolResult(
+                toolCall.id,
+                'digits must be 1-64 of 0-9, *, #, A-D, or w for a half-second pause',
+                true
+              );
+              break;
+            }
+            
+            console.log(`Agent sending DTMF ${digits} on ${callSid}`);
+            sendAgentAudio(connection, generateDtmfAudio(digits).toString('base64'));
+            callRegistry.addTranscriptEntry(callSid, { speaker: 'agent_dtmf', text: digits });
+            connection.elevenLabsClient.sendToolResult(toolCall.id, `Sent ${digits}`);
+            break;
+          }
+            
+          case 'transfer': {
+            const isTransferring = startTransfer({
+              targetName: toolCall.parameters.target,
+              reason: 'tool'
+            });
+            connection.elevenLabsClient.sendToolResult(
+              toolCall.id,
+              isTransferring ? 'Transferring the call now' : 'Transfer is not available',
+              !isTransferring
+            );
+            break;
+          }
+            
+          default:
+            console.warn(`Unknown client tool call: ${toolCall.name}`);
+            connection.elevenLabsClient.sendToolResult(toolCall.id, `Unknown tool: ${toolCall.name}`, true);
+        }
+      }
+      
+      // Put the other party's number on the do-not-call list and let the
+      // agent know, so it can confirm and wrap up
+      function recordOptOut(text) {
+        const record = callRegistry.get(callSid);
+        const connection = activeConnections.get(streamSid);
+        if (!record || record.optOut) {
+          return;
+        }
+        
+        const number = record.direction === 'inbound' ? record.from : record.to;
+        try {
+          doNotCallList.add(number, { reason: 'Asked not to be called again', source: 'callee', callSid });
+        } catch (error) {
+          console.error(`Could not add ${number} to the do-not-call list:`, error.message);
+          return;
+        }
+        
+        callRegistry.update(callSid, { optOut: { number, text, at: new Date().toISOString() } });
+        connection?.elevenLabsClient.sendContextualUpdate(
+          'The caller asked not to be called again. Their number is now on the do-not-call list; confirm this politely and end the call.'
+        );
+      }
+      
+      // Transfer the caller to a human once the agent has finished speaking
+      function startTransfer({ targetName, reason }) {
+        const connection = activeConnections.get(streamSid);
+        if (!connection || connection.isTransferring || connection.hangup) {
+          return false;
+        }
+        
+        const target = resolveTransferTarget(targetName);
+        if (!target) {
+          console.warn(`Cannot transfer ${callSid}: no TRANSFER_NUMBER configured`);
+          return false;
+        }
+        
+        connection.isTransferring = true;
+        afterPlayback(connection, () => {
+          transferCall(callSid, { target, reason }).catch(err => {
+            console.error('Error transferring call:', err);
+          });
+        });
+        return true;
+      }
+      
+      // Complete the call through the REST API once the agent's last words
+      // have been played. Waits for ElevenLabs to stop sending audio, then for
+      // Twilio to acknowledge a mark queued behind it.
+      function hangUpAfterPlayback(reason) {
+        const connection = activeConnections.get(streamSid);
+        if (!connection || connection.hangup || connection.isTransferring || connection.isClosing) {
+          return;
+        }
+        connection.hangup = { reason, requestedAt: new Date().toISOString() };
+        console.log(`Agent ended call ${callSid} (${reason}), waiting for playback`);
+        
+        const waitForAudio = () => {
+          const quietFor = Date.now() - connection.lastAgentAudioAt;
+          if (quietFor < AGENT_AUDIO_SETTLE_MS) {
+            setTimeout(waitForAudio, AGENT_AUDIO_SETTLE_MS - quietFor);
+            return;
+          }
+          
+          const markSentAt = Date.now();
+          afterPlayback(connection, () => {
+            // More audio came in behind the mark - wait for that too
+            if (connection.lastAgentAudioAt > markSentAt) {
+              waitForAudio();
+              return;
+            }
+            
+            callRegistry.update(callSid, { hangup: connection.hangup });
+            hangUpCall(callSid).catch(err => {
+              console.error('Error hanging up call:', err);
+            });
+          });
+        };
+        waitForAudio();
+      }
+      
+      // Helper function to clean up resources
+      function cleanupConnection(sid) {
+        const connection = activeConnections.get(sid);
+        
+        if (!connection || !connection.elevenLabsClient || connection.isClosing) {
+          return;
+        }
+        connection.isClosing = true;
+        
+        // Each stream has a context of its own; calls that never get a final
+        // status callback would otherwise keep theirs
+        callContexts.delete(connection.contextId);
+        
+        // Keep digits typed just before hanging up in the transcript
+        connection.dtmf.flush();
+        
+        connection.elevenLabsClient.endConversation()
+          .catch(err => {
+            console.error('Error ending conversation:', err);
+          });
+        
+        // Keep the stream listed as active until the recording is on disk,
+        // so the completion webhook waits for it
+        const saveRecording = connection.recorder
+          ? connection.recorder.save()
+            .then(recording => callRegistry.update(connection.callSid, { recording }))
+            .catch(err => console.error('Error saving recording:', err))
+          : Promise.resolve();
+        
+        saveRecording.finally(() => {
+          activeConnections.delete(sid);
+          notifyCallCompleted(connection.callSid);
+        });
+      }
     });
   });
   
   try {
     // Start the server
     await server.listen({ port: PORT, host: HOST });
+    callScheduler.start();
     console.log(`Server listening on port ${PORT}`);
     console.log(`Server URL: ${BASE_URL}`);
   } catch (err) {
@@ -0,0 +1,124 @@
+import { invalid } from '../utils/errors.js';
+
+// Per-call agent settings, stored on the call record and carried by retries
+export const AGENT_OVERRIDE_FIELDS = ['agentId', 'voiceId', 'language', 'llm'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+/**
+ * Validates the agent overrides of a call request. Every field is
+ * optional; anything left out falls back to the agent's own settings.
+ * @param options Request body with agentId, voiceId, language and llm
+ *   (a model name, or { model, temperature, maxTokens })
+ * @returns The overrides that were given
+ */
+export function resolveAgentOverrides({ agentId, voiceId, language, llm } = {}) {
+  const overrides = {};
+
+  if (agentId !== undefined && agentId !== null) {
+    if (!ID_PATTERN.test(String(agentId))) {
+      throw invalid('agentId must be an ElevenLabs agent ID');
+    }
+    overrides.agentId = String(agentId);
+  }
+
+  if (voiceId !== undefined && voiceId !== null) {
+    if (!ID_PATTERN.test(String(voiceId))) {
+      throw invalid('voiceId must be an ElevenLabs voice ID');
+    }
+    overrides.voiceId = String(voiceId);
+  }
+
+  if (language !== undefined && language !== null) {
+    if (!LANGUAGE_PATTERN.test(String(language))) {
+      throw invalid('language must be a language code such as "en" or "pt-br"');
+    }
+    overrides.language = String(language);
+  }
+
+  if (llm !== undefined && llm !== null) {
+    const { model, temperature, maxTokens } = typeof llm === 'string' ? { model: llm } : llm;
+    const resolved = {};
+
+    if (model !== undefined) {
+      if (typeof model !== 'string' || !model) {
+        throw invalid('llm.model must be a model name such as "gpt-4o-mini"');
+      }
+      resolved.model = model;
+    }
+    if (temperature !== undefined) {
+      if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+        throw invalid('llm.temperature must be a number from 0 to 2');
+      }
+      resolved.temperature = temperature;
+    }
+    if (maxTokens !== undefined) {
+      if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+        throw invalid('llm.maxTokens must be a positive whole number');
+      }
+      resolved.maxTokens = maxTokens;
+    }
+
+    if (Object.keys(resolved).length > 0) {
+      overrides.llm = resolved;
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Whether a prompt or first message a call doesn't give should be the
+ * agent's own (null) rather than the built-in English default: when the
+ * call picks its agent or language, or fills the agent's templates with
+ * variables
+ * @param options agentId, language and variables of the call
+ * @returns True if the agent's own prompt and first message should be kept
+ */
+export function keepsAgentPrompt({ agentId, language, variables } = {}) {
+  return Boolean(agentId || language || variables);
+}
+
+/**
+ * Builds the conversation_config_override of the ElevenLabs
+ * conversation_initiation_client_data message. Each field must also be
+ * allowed under the agent's Security > Overrides settings.
+ * @param options Prompt, first message and agent overrides of the call
+ * @returns The override object
+ */
+export function buildConversationConfigOverride({ prompt, firstMessage, voiceId, language, llm }) {
+  const override = {
+    agent: {
+      prompt: {}
+    }
+  };
+
+  // Left out, the agent's own prompt and first message are used
+  if (prompt) {
+    override.agent.prompt.prompt = prompt;
+  }
+  if (firstMessage) {
+    override.agent.first_message = firstMessage;
+  }
+  if (language) {
+    override.agent.language = language;
+  }
+  if (llm?.model) {
+    override.agent.prompt.llm = llm.model;
+  }
+  if (llm?.temperature !== undefined) {
+    override.agent.prompt.temperature = llm.temperature;
+  }
+  if (llm?.maxTokens !== undefined) {
+    override.agent.prompt.max_tokens = llm.maxTokens;
+  }
+  if (Object.keys(override.agent.prompt).length === 0) {
+    delete override.agent.prompt;
+  }
+  if (voiceId) {
+    override.tts = { voice_id: voiceId };
+  }
+
+  return override;
+}
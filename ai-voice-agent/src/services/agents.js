@@ -0,0 +1,27 @@
+// Agent configs change in ElevenLabs, so they are only kept for a while
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const agentCache = new Map(); // agentId -> { agent, fetchedAt }
+
+/**
+ * Loads an agent's configuration from ElevenLabs
+ * @param agentId ElevenLabs agent ID (defaults to ELEVENLABS_AGENT_ID)
+ * @returns The agent, as returned by GET /v1/convai/agents/:id
+ */
+export async function getAgentConfig(agentId = process.env.ELEVENLABS_AGENT_ID) {
+  const cached = agentCache.get(agentId);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.agent;
+  }
+
+  const response = await fetch(`https://api.elevenlabs.io/v1/convai/agents/${agentId}`, {
+    headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY }
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to load agent ${agentId}: ${response.status} - ${await response.text()}`);
+  }
+
+  const agent = await response.json();
+  agentCache.set(agentId, { agent, fetchedAt: Date.now() });
+  return agent;
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import { TWILIO_WEBHOOK_ROUTES } from './twilioSignature.js';
+import { verifyListenToken } from './streamTokens.js';
+
+export const SCOPES = ['calls', 'transcripts', 'admin'];
+
+// Routes that need no API key: Twilio's webhooks (which are signed
+// instead) and media stream, the health check, and the listen-in page
+// (whose socket takes a key)
+const PUBLIC_ROUTES = [
+  'GET /health',
+  ...TWILIO_WEBHOOK_ROUTES,
+  'GET /call-stream',
+  'GET /listen'
+];
+
+// Scope each API route needs. Any other route needs "admin", which also
+// grants every other scope. Keys that place calls may look up and add
+// do-not-call numbers, but removing them and bulk imports need admin.
+const ROUTE_SCOPES = {
+  'POST /make-call': 'calls',
+  'POST /make-outbound-call': 'calls',
+  'POST /calls/:callSid/hangup': 'calls',
+  'POST /calls/:callSid/say': 'calls',
+  'POST /calls/:callSid/context': 'calls',
+  'POST /calls/:callSid/mute': 'calls',
+  'GET /scheduled-calls': 'calls',
+  'GET /scheduled-calls/:id': 'calls',
+  'DELETE /scheduled-calls/:id': 'calls',
+  'POST /campaigns': 'calls',
+  'GET /campaigns': 'calls',
+  'GET /campaigns/:id': 'calls',
+  'POST /campaigns/:id/:action': 'calls',
+  'GET /do-not-call': 'calls',
+  'GET /do-not-call/:number': 'calls',
+  'POST /do-not-call': 'calls',
+  'GET /calls': 'transcripts',
+  'GET /calls/:callSid': 'transcripts',
+  'GET /calls/:callSid/transcript': 'transcripts',
+  'GET /calls/:callSid/recording': 'transcripts',
+  'GET /calls/:callSid/listen': 'transcripts',
+  'POST /calls/:callSid/listen-token': 'transcripts'
+};
+
+// Routes that also take the key as ?api_key=: WebSockets, which browsers
+// can't set headers on. Anywhere else it would only end up in logs.
+const QUERY_KEY_ROUTES = ['GET /calls/:callSid/listen'];
+
+// The listen socket also opens with a ?token= from
+// POST /calls/:callSid/listen-token, which is good for one call only
+const LISTEN_TOKEN_ROUTE = 'GET /calls/:callSid/listen';
+
+let apiKeys = null;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Loads the named keys from API_KEYS, a JSON object of
+ * name -> { key, scopes }
+ * @returns Array of { name, digest, scopes }
+ */
+export function loadApiKeys() {
+  let raw = {};
+  try {
+    raw = JSON.parse(process.env.API_KEYS || '{}');
+  } catch (error) {
+    console.error('Error parsing API_KEYS:', error.message);
+  }
+
+  apiKeys = [];
+  for (const [name, { key, scopes } = {}] of Object.entries(raw)) {
+    const unknown = (scopes || []).filter(scope => !SCOPES.includes(scope));
+    if (!key || !Array.isArray(scopes) || unknown.length > 0) {
+      console.error(`Skipping API key "${name}": needs a key and scopes from ${SCOPES.join(', ')}`);
+      continue;
+    }
+    apiKeys.push({ name, digest: digest(key), scopes });
+  }
+
+  if (apiKeys.length === 0) {
+    console.warn('No API_KEYS configured: every API route will refuse requests');
+  }
+  return apiKeys;
+}
+
+// "METHOD /url" of a request's route; Fastify answers HEAD for every GET route
+function routeOf(request) {
+  const method = request.method === 'HEAD' ? 'GET' : request.method;
+  return `${method} ${request.routeOptions?.url}`;
+}
+
+/**
+ * @param request Fastify request
+ * @returns The scope the route needs, or null for public routes
+ */
+export function requiredScope(request) {
+  if (!request.routeOptions?.url || request.method === 'OPTIONS') {
+    return null; // Unknown routes get a 404, CORS preflights their own answer
+  }
+
+  const route = routeOf(request);
+  if (PUBLIC_ROUTES.includes(route)) {
+    return null;
+  }
+  return ROUTE_SCOPES[route] || 'admin';
+}
+
+/**
+ * The key sent with a request: the X-API-Key header, a Bearer token, or
+ * on QUERY_KEY_ROUTES an api_key query parameter
+ * @param request Fastify request
+ * @returns The key, or null
+ */
+function getPresentedKey(request) {
+  const bearer = (request.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const queryKey = QUERY_KEY_ROUTES.includes(routeOf(request)) ? request.query?.api_key : null;
+  return request.headers['x-api-key'] || bearer?.[1] || queryKey || null;
+}
+
+/**
+ * Hides API keys and listen tokens passed in a URL's query string, for
+ * logging
+ * @param url Request URL
+ * @returns The URL with any api_key or token value replaced
+ */
+export function redactUrl(url) {
+  return String(url).replace(/([?&](?:api_key|token)=)[^&#]*/gi, '$1[redacted]');
+}
+
+/**
+ * Checks a request's API key against the scope its route needs
+ * @param request Fastify request
+ * @param scope Scope from requiredScope
+ * @returns { key } with the matching key's name and scopes (null for a
+ *   listen token), or { statusCode, error }
+ */
+export function authenticate(request, scope) {
+  if (!apiKeys) {
+    loadApiKeys();
+  }
+
+  if (routeOf(request) === LISTEN_TOKEN_ROUTE && request.query?.token) {
+    const { valid, reason } = verifyListenToken(request.query.token, request.params?.callSid);
+    return valid ? { key: null } : { statusCode: 401, error: `Invalid listen token: ${reason}` };
+  }
+
+  const presented = getPresentedKey(request);
+  if (!presented) {
+    return { statusCode: 401, error: 'API key required' };
+  }
+
+  const presentedDigest = digest(presented);
+  const key = apiKeys.find(candidate => crypto.timingSafeEqual(candidate.digest, presentedDigest));
+  if (!key) {
+    return { statusCode: 401, error: 'Invalid API key' };
+  }
+
+  if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+    return { statusCode: 403, error: `API key "${key.name}" does not have the "${scope}" scope` };
+  }
+
+  return { key: { name: key.name, scopes: key.scopes } };
+}
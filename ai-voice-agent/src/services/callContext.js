@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { callRegistry } from './callRegistry.js';
+import { AGENT_OVERRIDE_FIELDS } from './agentOverrides.js';
+
+// What the media stream needs to start the conversation
+const CONTEXT_FIELDS = ['direction', 'mode', 'prompt', 'firstMessage', 'variables', ...AGENT_OVERRIDE_FIELDS];
+
+/**
+ * Conversation settings of each call, kept server-side.
+ *
+ * Prompts and variables don't fit in TwiML <Parameter> attributes (size
+ * limits, escaping) and shouldn't travel through Twilio at all, so only
+ * the opaque context ID goes into the TwiML and comes back in the media
+ * stream's start event. A context is dropped when its stream closes, and
+ * any left over (such as for calls that never streamed) when the call ends.
+ */
+class CallContextStore {
+  constructor() {
+    this.contexts = new Map(); // contextId -> context
+
+    // Every attempt has a context of its own, so don't wait for retries
+    callRegistry.on('attemptEnded', (record) => this.releaseCall(record.callSid));
+  }
+
+  /**
+   * Stores the context of a call about to be placed or answered
+   * @param fields prompt, firstMessage, variables, agent overrides, ...
+   * @param callSid Twilio call SID, if known yet (see attach)
+   * @returns The new context ID
+   */
+  create(fields, callSid = null) {
+    const id = crypto.randomUUID();
+    const context = { callSid };
+    for (const field of CONTEXT_FIELDS) {
+      if (fields[field] !== undefined) {
+        context[field] = fields[field];
+      }
+    }
+
+    this.contexts.set(id, context);
+    return id;
+  }
+
+  /**
+   * Ties a context to its call once Twilio has given it a SID
+   * @param contextId Context ID
+   * @param callSid Twilio call SID
+   */
+  attach(contextId, callSid) {
+    const context = this.contexts.get(contextId);
+    if (context) {
+      context.callSid = callSid;
+    }
+  }
+
+  /**
+   * @param contextId Context ID from the stream's start event
+   * @returns The context, or null if unknown
+   */
+  get(contextId) {
+    return (contextId && this.contexts.get(contextId)) || null;
+  }
+
+  delete(contextId) {
+    this.contexts.delete(contextId);
+  }
+
+  // Drops every context of a call that has ended
+  releaseCall(callSid) {
+    for (const [id, context] of this.contexts) {
+      if (context.callSid === callSid) {
+        this.contexts.delete(id);
+      }
+    }
+  }
+}
+
+export const callContexts = new CallContextStore();
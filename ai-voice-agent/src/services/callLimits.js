@@ -0,0 +1,180 @@
+import { EventEmitter } from 'events';
+import { callRegistry } from './callRegistry.js';
+
+const RATE_WINDOW_MS = 60000;
+
+// Suggested wait when the concurrency caps are reached; calls end at no
+// predictable time
+const CAPACITY_RETRY_AFTER_SECONDS = 30;
+
+// Placed calls that haven't been answered yet, and how long one may stay
+// that way before its status is assumed stale (Twilio rings for 60s)
+const STARTING_STATUSES = ['queued', 'initiated', 'ringing'];
+const MAX_STARTING_MS = 120000;
+
+function readLimit(name) {
+  const value = parseInt(process.env[name] || '0');
+  return value > 0 ? value : null;
+}
+
+function limitReached(code, message, retryAfter) {
+  return Object.assign(new Error(message), { statusCode: 429, code, retryAfter });
+}
+
+/**
+ * Limits on creating calls: CALLS_PER_MINUTE_PER_KEY requests per API key
+ * per minute, MAX_CONCURRENT_CALLS live calls and
+ * MAX_CONCURRENT_CONVERSATIONS ElevenLabs conversations (each unset or 0 =
+ * no limit).
+ *
+ * Live calls and conversations are counted from the server's media
+ * streams (see setLoadSource), plus the outbound calls that are placed but
+ * not answered yet, which will need one of each. Emits 'capacity' when a
+ * call ends, so work held back by the caps can go ahead.
+ */
+class CallLimiter extends EventEmitter {
+  constructor() {
+    super();
+    this.attempts = new Map(); // API key name -> call times (ms), oldest first
+    this.placing = 0; // placeCall requests still waiting for Twilio
+    this.loadSource = () => ({ liveCalls: 0, conversations: 0 });
+
+    callRegistry.on('attemptEnded', () => this.emit('capacity'));
+  }
+
+  /**
+   * @param source Function returning { liveCalls, conversations } of the
+   *   media streams now open
+   */
+  setLoadSource(source) {
+    this.loadSource = source;
+  }
+
+  // Outbound calls on their way to becoming live
+  countStarting() {
+    const now = Date.now();
+    const ringing = callRegistry.list({ limit: Infinity }).filter(record =>
+      record.direction === 'outbound' &&
+      STARTING_STATUSES.includes(record.status) &&
+      now - new Date(record.createdAt).getTime() < MAX_STARTING_MS
+    ).length;
+    return ringing + this.placing;
+  }
+
+  /**
+   * Current load against the concurrency caps
+   * @returns { liveCalls, conversations }
+   */
+  getLoad() {
+    const { liveCalls, conversations } = this.loadSource();
+    const starting = this.countStarting();
+    return { liveCalls: liveCalls + starting, conversations: conversations + starting };
+  }
+
+  /**
+   * Checks the concurrency caps
+   * @returns A 429 error with a code and retryAfter (seconds), or null if
+   *   another call may start
+   */
+  checkCapacity() {
+    const maxCalls = readLimit('MAX_CONCURRENT_CALLS');
+    const maxConversations = readLimit('MAX_CONCURRENT_CONVERSATIONS');
+    if (!maxCalls && !maxConversations) {
+      return null;
+    }
+
+    const load = this.getLoad();
+    if (maxCalls && load.liveCalls >= maxCalls) {
+      return limitReached('max_concurrent_calls',
+        `Too many live calls (limit ${maxCalls})`, CAPACITY_RETRY_AFTER_SECONDS);
+    }
+    if (maxConversations && load.conversations >= maxConversations) {
+      return limitReached('max_concurrent_conversations',
+        `Too many ElevenLabs conversations (limit ${maxConversations})`, CAPACITY_RETRY_AFTER_SECONDS);
+    }
+    return null;
+  }
+
+  /**
+   * @returns True if the concurrency caps allow another call
+   */
+  hasCapacity() {
+    return !this.checkCapacity();
+  }
+
+  /**
+   * When a key may create its next call
+   * @param keyName API key name
+   * @returns Time in ms; now or earlier if it may call right away
+   */
+  nextCallTime(keyName) {
+    const limit = readLimit('CALLS_PER_MINUTE_PER_KEY');
+    const now = Date.now();
+    const times = (this.attempts.get(keyName) || []).filter(time => time > now - RATE_WINDOW_MS);
+    this.attempts.set(keyName, times);
+
+    // Queued calls may lie in the future; the limit-th most recent call
+    // must be a minute old
+    return limit && times.length >= limit ? times[times.length - limit] + RATE_WINDOW_MS : now;
+  }
+
+  /**
+   * Checks the per-key rate limit
+   * @param keyName API key name
+   * @returns A 429 error with retryAfter (seconds), or null if allowed
+   */
+  checkRate(keyName) {
+    const waitMs = this.nextCallTime(keyName) - Date.now();
+    if (waitMs <= 0) {
+      return null;
+    }
+    return limitReached('rate_limited',
+      `API key "${keyName}" is over its limit of ${readLimit('CALLS_PER_MINUTE_PER_KEY')} calls per minute`,
+      Math.ceil(waitMs / 1000));
+  }
+
+  /**
+   * Counts a call against a key's rate limit
+   * @param keyName API key name
+   * @param at When the call is made (ms); later than now for queued calls
+   * @returns at, to refund the call with if it fails
+   */
+  recordCall(keyName, at = Date.now()) {
+    const times = this.attempts.get(keyName) || [];
+    times.push(at);
+    times.sort((a, b) => a - b);
+    this.attempts.set(keyName, times);
+    return at;
+  }
+
+  /**
+   * Takes back a call recorded for a key when it could not be placed after
+   * all, so failed calls don't use up the key's limit
+   * @param keyName API key name
+   * @param at Time returned by recordCall
+   */
+  refundCall(keyName, at) {
+    const times = this.attempts.get(keyName) || [];
+    const index = times.indexOf(at);
+    if (index !== -1) {
+      times.splice(index, 1);
+    }
+  }
+
+  /**
+   * Runs placeCall while counting the call as starting, so requests that
+   * arrive before Twilio answers see it
+   * @param place Function placing the call
+   * @returns What place returns
+   */
+  async track(place) {
+    this.placing++;
+    try {
+      return await place();
+    } finally {
+      this.placing--;
+    }
+  }
+}
+
+export const callLimiter = new CallLimiter();
@@ -0,0 +1,249 @@
+import { EventEmitter } from 'events';
+import { loadJsonFile, createJsonWriter } from '../utils/jsonStore.js';
+
+// Twilio call statuses in the order a call moves through them
+export const CALL_STATES = ['queued', 'initiated', 'ringing', 'in-progress'];
+
+// Statuses a call can end in - once reached, the record stops changing state
+export const TERMINAL_STATES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+const MAX_CALLS = parseInt(process.env.CALL_REGISTRY_MAX_CALLS || '1000');
+
+/**
+ * Registry of every call the server places or answers.
+ *
+ * Records outlive the media stream, so the final status, timings and
+ * prompt of a call can be looked up after it has ended. Emits 'created',
+ * 'status' and 'ended' events with the record as argument, and
+ * 'transcript' with the record and the new entry.
+ *
+ * When a call reaches a final status, 'attemptEnded' fires first. A
+ * listener that decides to retry the call sets retryPending on the record,
+ * which holds back 'ended' until the last attempt is over.
+ */
+class CallRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.calls = new Map();
+    this.filePath = process.env.CALL_REGISTRY_FILE || '';
+    this.scheduleWrite = createJsonWriter(this.filePath, () => Array.from(this.calls.values()));
+
+    for (const record of loadJsonFile(this.filePath, [])) {
+      this.calls.set(record.callSid, record);
+    }
+  }
+
+  /**
+   * Creates a record for a call, or merges into the existing one
+   * @param callSid Twilio call SID
+   * @param data Initial fields (direction, to, from, prompt, firstMessage, status)
+   * @returns The call record
+   */
+  create(callSid, data = {}) {
+    const { status, ...fields } = data;
+    const now = new Date().toISOString();
+    let record = this.calls.get(callSid);
+
+    if (record) {
+      Object.assign(record, fields, { updatedAt: now });
+    } else {
+      record = {
+        callSid,
+        direction: 'outbound',
+        to: null,
+        from: null,
+        prompt: null,
+        firstMessage: null,
+        streamSid: null,
+        status: null,
+        transcript: [],
+        timestamps: {},
+        duration: null,
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+      };
+      this.calls.set(callSid, record);
+      this.prune();
+      this.emit('created', record);
+    }
+
+    if (status) {
+      this.updateStatus(callSid, status);
+    } else {
+      this.scheduleWrite();
+    }
+
+    return record;
+  }
+
+  /**
+   * @param callSid Twilio call SID
+   * @returns The call record, or undefined if unknown
+   */
+  get(callSid) {
+    return this.calls.get(callSid);
+  }
+
+  /**
+   * Lists records, newest first
+   * @param options Optional status filter and limit
+   * @returns Array of call records
+   */
+  list({ status, limit = 100 } = {}) {
+    return Array.from(this.calls.values())
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Sets plain fields on a record (streamSid and the like)
+   * @param callSid Twilio call SID
+   * @param fields Fields to merge into the record
+   * @returns The updated record, or undefined if unknown
+   */
+  update(callSid, fields) {
+    const record = this.calls.get(callSid);
+    if (!record) {
+      return undefined;
+    }
+
+    Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+    this.scheduleWrite();
+    return record;
+  }
+
+  /**
+   * Appends a conversation turn to the call's transcript
+   * @param callSid Twilio call SID
+   * @param entry Transcript entry ({ speaker, text, timestamp })
+   * @returns The stored entry, or undefined if the call is unknown
+   */
+  addTranscriptEntry(callSid, entry) {
+    const record = this.calls.get(callSid);
+    if (!record) {
+      return undefined;
+    }
+
+    const stored = {
+      speaker: entry.speaker,
+      text: entry.text,
+      timestamp: entry.timestamp || new Date().toISOString()
+    };
+    record.transcript = record.transcript || [];
+    record.transcript.push(stored);
+    record.updatedAt = stored.timestamp;
+    this.emit('transcript', record, stored);
+    this.scheduleWrite();
+    return stored;
+  }
+
+  /**
+   * Replaces the text of the latest matching turn, used when the caller
+   * interrupts the agent and only part of its response was spoken
+   * @param callSid Twilio call SID
+   * @param correction The speaker, original text and corrected text
+   */
+  correctTranscriptEntry(callSid, { speaker, original, text }) {
+    const record = this.calls.get(callSid);
+    const transcript = record?.transcript || [];
+
+    for (let i = transcript.length - 1; i >= 0; i--) {
+      const entry = transcript[i];
+      if (entry.speaker === speaker && (original === undefined || entry.text === original)) {
+        entry.text = text;
+        entry.interrupted = true;
+        this.scheduleWrite();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Moves a call to a new status. Twilio callbacks can arrive out of order,
+   * so a call never moves backwards and never leaves a terminal state; the
+   * timestamp of a late status is still recorded.
+   * @param callSid Twilio call SID
+   * @param status Twilio CallStatus value
+   * @param details Optional duration (seconds) reported by Twilio
+   * @returns The updated record, or undefined if unknown
+   */
+  updateStatus(callSid, status, details = {}) {
+    const record = this.calls.get(callSid);
+    if (!record) {
+      return undefined;
+    }
+
+    const isTerminal = TERMINAL_STATES.includes(status);
+    if (!isTerminal && !CALL_STATES.includes(status)) {
+      console.warn(`Ignoring unknown call status "${status}" for ${callSid}`);
+      return record;
+    }
+
+    const now = new Date().toISOString();
+    if (!record.timestamps[status]) {
+      record.timestamps[status] = now;
+    }
+    if (details.duration !== undefined && details.duration !== null) {
+      record.duration = parseInt(details.duration) || 0;
+    }
+    record.updatedAt = now;
+
+    const wasTerminal = TERMINAL_STATES.includes(record.status);
+    const isForward = isTerminal ||
+      CALL_STATES.indexOf(status) > CALL_STATES.indexOf(record.status);
+
+    if (!wasTerminal && isForward && record.status !== status) {
+      console.log(`Call ${callSid}: ${record.status || 'new'} -> ${status}`);
+      record.status = status;
+      this.emit('status', record);
+
+      if (isTerminal) {
+        this.emit('attemptEnded', record);
+        if (!record.retryPending) {
+          this.emit('ended', record);
+        }
+      }
+    }
+
+    this.scheduleWrite();
+    return record;
+  }
+
+  /**
+   * Ends a call whose retry could not be placed after all
+   * @param callSid Twilio call SID of the last attempt
+   */
+  releaseRetry(callSid) {
+    const record = this.calls.get(callSid);
+    if (!record || !record.retryPending) {
+      return;
+    }
+
+    record.retryPending = false;
+    record.updatedAt = new Date().toISOString();
+    this.scheduleWrite();
+    this.emit('ended', record);
+  }
+
+  // Drop the oldest finished calls once the registry is over its limit
+  prune() {
+    if (this.calls.size <= MAX_CALLS) {
+      return;
+    }
+
+    const finished = Array.from(this.calls.values())
+      .filter(record => TERMINAL_STATES.includes(record.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const record of finished) {
+      if (this.calls.size <= MAX_CALLS) {
+        break;
+      }
+      this.calls.delete(record.callSid);
+    }
+  }
+}
+
+export const callRegistry = new CallRegistry();
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { callRegistry, TERMINAL_STATES } from './callRegistry.js';
+import { placeCall } from './dialer.js';
+import { callLimiter } from './callLimits.js';
+import { resolveRetryPolicy, getDefaultRetryPolicy } from './retries.js';
+import { resolveMachineDetection } from './voicemail.js';
+import { resolveAgentOverrides, keepsAgentPrompt } from './agentOverrides.js';
+import { resolveDynamicVariables, findPlaceholders } from './dynamicVariables.js';
+import { normalizePhoneNumber } from './phoneNumbers.js';
+
+const DEFAULT_MAX_CONCURRENT = parseInt(process.env.CAMPAIGN_MAX_CONCURRENT || '5');
+
+// Recipient statuses that still count against the concurrency limit
+const LIVE_STATUSES = ['dialing', 'queued', 'initiated', 'ringing', 'in-progress', 'retrying'];
+
+/**
+ * Batch outbound calling.
+ *
+ * A campaign dials its recipients in order, keeping at most maxConcurrent
+ * calls live at once. Recipient progress follows the call registry, which
+ * is driven by Twilio's /call-status callbacks: whenever a call ends the
+ * next recipient is dialed. A recipient whose call is being retried stays
+ * live until the last attempt ends. Dialing also pauses while the
+ * process-wide caps of callLimiter are reached, and every call counts
+ * against the per-minute limit of the API key that created the campaign.
+ */
+class CampaignManager {
+  constructor() {
+    this.campaigns = new Map();
+    this.callIndex = new Map(); // callSid of the first attempt -> { campaign, recipient }
+    this.pumpTimers = new Map(); // campaign ID -> timer waiting out its key's rate limit
+
+    callRegistry.on('status', (record) => this.handleCallStatus(record));
+    callRegistry.on('ended', (record) => this.handleCallEnded(record));
+    callLimiter.on('capacity', () => {
+      for (const campaign of this.campaigns.values()) {
+        this.pump(campaign);
+      }
+    });
+  }
+
+  /**
+   * Creates a campaign and starts dialing. Each recipient's variables are
+   * checked against the agent, like those of /make-call, and sent to it as
+   * dynamic variables; ElevenLabs fills the {{placeholders}} in.
+   * @param options Recipients plus campaign-wide defaults
+   * @param apiKeyName Name of the API key creating the campaign
+   * @returns The campaign
+   */
+  async create({ name, recipients, prompt, firstMessage, maxConcurrent, callbackUrl, record, retry, machineDetection, agentId, voiceId, language, llm }, apiKeyName = null) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('recipients must be a non-empty array');
+    }
+
+    const missing = recipients.findIndex(recipient => !recipient || !recipient.phoneNumber);
+    if (missing !== -1) {
+      throw new Error(`Recipient ${missing} has no phoneNumber`);
+    }
+
+    const phoneNumbers = recipients.map((recipient, index) => {
+      try {
+        return normalizePhoneNumber(recipient.phoneNumber);
+      } catch (error) {
+        error.message = `Recipient ${index}: ${error.message}`;
+        throw error;
+      }
+    });
+
+    const agentOverrides = resolveAgentOverrides({ agentId, voiceId, language, llm });
+
+    // One at a time, so the agent is fetched once and then cached
+    const variables = [];
+    for (const [index, recipient] of recipients.entries()) {
+      const recipientPrompt = recipient.prompt || prompt;
+      const recipientFirstMessage = recipient.firstMessage || firstMessage;
+      const hasPlaceholders = findPlaceholders(recipientPrompt).size > 0 ||
+        findPlaceholders(recipientFirstMessage).size > 0;
+      if (!recipient.variables && !hasPlaceholders) {
+        variables.push(null);
+        continue;
+      }
+
+      try {
+        variables.push(await resolveDynamicVariables(recipient.variables || {}, {
+          agentId: agentOverrides.agentId,
+          prompt: recipientPrompt,
+          firstMessage: recipientFirstMessage
+        }));
+      } catch (error) {
+        error.message = `Recipient ${index}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const campaign = {
+      id: crypto.randomUUID(),
+      name: name || null,
+      status: 'running',
+      maxConcurrent: Math.max(1, parseInt(maxConcurrent) || DEFAULT_MAX_CONCURRENT),
+      prompt: prompt || null,
+      firstMessage: firstMessage || null,
+      callbackUrl: callbackUrl || null,
+      record: typeof record === 'boolean' ? record : null,
+      retryPolicy: retry ? resolveRetryPolicy(retry) : getDefaultRetryPolicy(),
+      machineDetection: resolveMachineDetection(machineDetection),
+      agentOverrides,
+      apiKeyName,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      recipients: recipients.map((recipient, index) => ({
+        index,
+        phoneNumber: phoneNumbers[index],
+        prompt: recipient.prompt || null,
+        firstMessage: recipient.firstMessage || null,
+        variables: variables[index],
+        status: 'pending',
+        callSid: null,
+        error: null,
+        startedAt: null,
+        endedAt: null
+      }))
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    console.log(`Campaign ${campaign.id} created with ${campaign.recipients.length} recipients`);
+
+    this.pump(campaign);
+    return campaign;
+  }
+
+  /**
+   * @param id Campaign ID
+   * @returns The campaign, or undefined if unknown
+   */
+  get(id) {
+    return this.campaigns.get(id);
+  }
+
+  /**
+   * @returns All campaigns, newest first
+   */
+  list() {
+    return Array.from(this.campaigns.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Counts recipients by status
+   * @param campaign The campaign
+   * @returns Map of status -> count
+   */
+  summarize(campaign) {
+    const counts = {};
+    for (const recipient of campaign.recipients) {
+      counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Stops dialing new recipients; calls already live carry on
+   * @param id Campaign ID
+   * @returns The campaign
+   */
+  pause(id) {
+    const campaign = this.requireActive(id);
+    campaign.status = 'paused';
+    campaign.updatedAt = new Date().toISOString();
+    return campaign;
+  }
+
+  /**
+   * Resumes dialing a paused campaign
+   * @param id Campaign ID
+   * @returns The campaign
+   */
+  resume(id) {
+    const campaign = this.requireActive(id);
+    campaign.status = 'running';
+    campaign.updatedAt = new Date().toISOString();
+    this.pump(campaign);
+    return campaign;
+  }
+
+  /**
+   * Cancels all recipients that haven't been dialed yet
+   * @param id Campaign ID
+   * @returns The campaign
+   */
+  cancel(id) {
+    const campaign = this.requireActive(id);
+    const now = new Date().toISOString();
+
+    for (const recipient of campaign.recipients) {
+      if (recipient.status === 'pending') {
+        recipient.status = 'canceled';
+        recipient.endedAt = now;
+      }
+    }
+
+    campaign.status = 'canceled';
+    campaign.updatedAt = now;
+    campaign.completedAt = now;
+    return campaign;
+  }
+
+  requireActive(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign) {
+      throw Object.assign(new Error('Campaign not found'), { statusCode: 404 });
+    }
+    if (campaign.status === 'completed' || campaign.status === 'canceled') {
+      throw Object.assign(new Error(`Campaign is already ${campaign.status}`), { statusCode: 409 });
+    }
+    return campaign;
+  }
+
+  // Dial pending recipients until the campaign is at its concurrency limit
+  pump(campaign) {
+    if (campaign.status !== 'running') {
+      return;
+    }
+
+    let live = campaign.recipients.filter(recipient => LIVE_STATUSES.includes(recipient.status)).length;
+    const pending = campaign.recipients.filter(recipient => recipient.status === 'pending');
+
+    for (const recipient of pending) {
+      if (live >= campaign.maxConcurrent || !callLimiter.hasCapacity()) {
+        break;
+      }
+      const rateLimit = callLimiter.checkRate(campaign.apiKeyName);
+      if (rateLimit) {
+        this.pumpLater(campaign, rateLimit.retryAfter);
+        break;
+      }
+      live++;
+      this.dial(campaign, recipient);
+    }
+
+    this.checkCompleted(campaign);
+  }
+
+  // Dials again once the campaign's key is back under its rate limit
+  pumpLater(campaign, seconds) {
+    if (this.pumpTimers.has(campaign.id)) {
+      return;
+    }
+    this.pumpTimers.set(campaign.id, setTimeout(() => {
+      this.pumpTimers.delete(campaign.id);
+      this.pump(campaign);
+    }, seconds * 1000));
+  }
+
+  async dial(campaign, recipient) {
+    recipient.status = 'dialing';
+    recipient.startedAt = new Date().toISOString();
+    const charge = callLimiter.recordCall(campaign.apiKeyName);
+
+    // With variables or the campaign's own agent or language and no prompt
+    // of our own, the agent's own prompt and first message are used (null),
+    // as for /make-call
+    const keepAgentPrompt = keepsAgentPrompt({ ...campaign.agentOverrides, variables: recipient.variables });
+
+    try {
+      const { call, record } = await callLimiter.track(() => placeCall({
+        to: recipient.phoneNumber,
+        prompt: recipient.prompt || campaign.prompt || (keepAgentPrompt ? null : undefined),
+        firstMessage: recipient.firstMessage || campaign.firstMessage || (keepAgentPrompt ? null : undefined),
+        variables: recipient.variables,
+        callbackUrl: campaign.callbackUrl,
+        record: campaign.record,
+        retryPolicy: campaign.retryPolicy,
+        machineDetection: campaign.machineDetection,
+        ...campaign.agentOverrides,
+        campaignId: campaign.id
+      }));
+
+      recipient.callSid = call.sid;
+      this.callIndex.set(call.sid, { campaign, recipient });
+      this.applyCallStatus(campaign, recipient, record, record.status);
+    } catch (error) {
+      callLimiter.refundCall(campaign.apiKeyName, charge);
+      console.error(`Campaign ${campaign.id}: failed to dial ${recipient.phoneNumber}:`, error);
+      recipient.status = 'failed';
+      recipient.error = error.message;
+      recipient.endedAt = new Date().toISOString();
+      this.pump(campaign);
+    }
+  }
+
+  // A final status may still be followed by a retry, so the recipient is
+  // held as 'retrying' until the registry reports the call as ended
+  handleCallStatus(record) {
+    const entry = this.callIndex.get(record.rootCallSid || record.callSid);
+    if (entry) {
+      const status = TERMINAL_STATES.includes(record.status) ? 'retrying' : record.status;
+      this.applyCallStatus(entry.campaign, entry.recipient, record, status);
+    }
+  }
+
+  handleCallEnded(record) {
+    const entry = this.callIndex.get(record.rootCallSid || record.callSid);
+    if (entry) {
+      this.applyCallStatus(entry.campaign, entry.recipient, record, record.status);
+    }
+  }
+
+  applyCallStatus(campaign, recipient, record, status) {
+    if (!status || recipient.status === status) {
+      return;
+    }
+
+    recipient.status = status;
+    recipient.callSid = record.callSid;
+    campaign.updatedAt = new Date().toISOString();
+
+    if (TERMINAL_STATES.includes(status)) {
+      recipient.endedAt = campaign.updatedAt;
+      recipient.error = record.error || null;
+      this.callIndex.delete(record.rootCallSid || record.callSid);
+      this.pump(campaign);
+    }
+  }
+
+  checkCompleted(campaign) {
+    const done = campaign.recipients.every(recipient =>
+      recipient.status !== 'pending' && !LIVE_STATUSES.includes(recipient.status)
+    );
+
+    if (done && campaign.status === 'running') {
+      campaign.status = 'completed';
+      campaign.completedAt = new Date().toISOString();
+      campaign.updatedAt = campaign.completedAt;
+      console.log(`Campaign ${campaign.id} completed`);
+    }
+  }
+}
+
+export const campaignManager = new CampaignManager();
@@ -0,0 +1,85 @@
+import { twilioClient } from './twilio.js';
+import { callRegistry } from './callRegistry.js';
+import { machineDetectionParams } from './voicemail.js';
+import { callContexts } from './callContext.js';
+import { normalizePhoneNumber } from './phoneNumbers.js';
+import { assertNotOnDoNotCallList } from './doNotCall.js';
+import { BASE_URL } from '../config.js';
+
+export const DEFAULT_OUTBOUND_PROMPT = 'You are a friendly AI assistant making a phone call.';
+export const DEFAULT_OUTBOUND_FIRST_MESSAGE = 'Hello, this is an automated call from an AI assistant.';
+
+/**
+ * Places an outbound call through Twilio and registers its call record.
+ * Every outbound path (the REST endpoints, campaigns) goes through here.
+ * @param options The number to call, prompt, first message, answering
+ *   machine detection settings and any extra call record fields
+ *   (callbackUrl, record, campaignId, ...)
+ * @returns The Twilio call resource and the new call record
+ */
+export async function placeCall({ to, prompt, firstMessage, machineDetection, ...fields }) {
+  if (!to) {
+    throw new Error('Phone number is required');
+  }
+
+  // E.164, and still allowed - the allowlist or the do-not-call list may
+  // have changed since a scheduled call or retry was requested
+  const formattedNumber = normalizePhoneNumber(to);
+  assertNotOnDoNotCallList(formattedNumber);
+
+  // null keeps the agent's own prompt or first message
+  const conversation = {
+    direction: 'outbound',
+    prompt: prompt !== null ? prompt || DEFAULT_OUTBOUND_PROMPT : null,
+    firstMessage: firstMessage !== null ? firstMessage || DEFAULT_OUTBOUND_FIRST_MESSAGE : null
+  };
+
+  // Only the context ID goes to Twilio; /call-twiml hands it to the stream
+  const contextId = callContexts.create({ ...fields, ...conversation });
+
+  let call;
+  try {
+    call = await twilioClient.calls.create({
+      to: formattedNumber,
+      from: process.env.TWILIO_PHONE_NUMBER || '',
+      url: `${BASE_URL}/call-twiml?contextId=${contextId}`,
+      statusCallback: `${BASE_URL}/call-status`,
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+      statusCallbackMethod: 'POST',
+      ...(machineDetection ? machineDetectionParams(machineDetection) : {})
+    });
+  } catch (error) {
+    callContexts.delete(contextId);
+    throw error;
+  }
+  callContexts.attach(contextId, call.sid);
+
+  const record = callRegistry.create(call.sid, {
+    ...conversation,
+    to: formattedNumber,
+    from: process.env.TWILIO_PHONE_NUMBER || null,
+    machineDetection: machineDetection || null,
+    ...fields,
+    status: call.status
+  });
+
+  return { call, record };
+}
+
+/**
+ * Ends a live call
+ * @param callSid Twilio call SID
+ */
+export async function hangUpCall(callSid) {
+  await twilioClient.calls(callSid).update({ status: 'completed' });
+}
+
+/**
+ * Replaces the instructions of a live call; the current TwiML (and any
+ * media stream) stops and the new TwiML runs
+ * @param callSid Twilio call SID
+ * @param twiml New TwiML document
+ */
+export async function redirectCall(callSid, twiml) {
+  await twilioClient.calls(callSid).update({ twiml });
+}
@@ -0,0 +1,163 @@
+import { loadJsonFile, createJsonWriter } from '../utils/jsonStore.js';
+import { parseCsv } from '../utils/csv.js';
+import { containsPhrase } from '../utils/phrases.js';
+import { parsePhoneNumber } from './phoneNumbers.js';
+
+const DEFAULT_OPT_OUT_PHRASES = [
+  "don't call me again",
+  'do not call me again',
+  'stop calling me',
+  'take me off your list',
+  'remove me from your list',
+  'put me on your do not call list'
+].join(',');
+
+// Header names accepted for the columns of an imported CSV
+const NUMBER_COLUMNS = ['phonenumber', 'phone', 'number', 'phone_number'];
+const REASON_COLUMNS = ['reason', 'note'];
+
+/**
+ * Checks what the callee said for a request not to be called again, from
+ * OPT_OUT_PHRASES (comma-separated, with a default list)
+ * @param text User transcript
+ * @returns True if the callee opted out
+ */
+export function matchesOptOutPhrase(text) {
+  // Transcripts may use typographic apostrophes ("don’t")
+  const spoken = String(text || '').replace(/’/g, "'");
+  return containsPhrase(spoken, process.env.OPT_OUT_PHRASES || DEFAULT_OPT_OUT_PHRASES);
+}
+
+/**
+ * Numbers that must not be called, saved to DO_NOT_CALL_FILE. Entries
+ * come from the API, from CSV imports, and from callees who ask not to
+ * be called again during a call. placeCall checks every outbound call
+ * against the list, whichever path it comes from.
+ */
+class DoNotCallRegistry {
+  constructor() {
+    this.entries = new Map(); // E.164 number -> entry
+    this.filePath = process.env.DO_NOT_CALL_FILE || './data/do-not-call.json';
+    this.scheduleWrite = createJsonWriter(this.filePath, () => this.list());
+
+    for (const entry of loadJsonFile(this.filePath, [])) {
+      this.entries.set(entry.number, entry);
+    }
+  }
+
+  // Key of a number in the list; numbers that don't parse are kept as given
+  key(number) {
+    try {
+      return parsePhoneNumber(number).number;
+    } catch (error) {
+      return String(number || '').trim();
+    }
+  }
+
+  /**
+   * @param number Phone number in any format
+   * @returns True if the number is on the list
+   */
+  has(number) {
+    return this.entries.has(this.key(number));
+  }
+
+  /**
+   * @param number Phone number in any format
+   * @returns The entry, or undefined if the number isn't listed
+   */
+  get(number) {
+    return this.entries.get(this.key(number));
+  }
+
+  /**
+   * @returns All entries, most recently added first
+   */
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  }
+
+  /**
+   * Adds a number to the list. A number that is already listed keeps its
+   * original entry.
+   * @param number Phone number in any format (must be valid)
+   * @param details reason, source ("api", "import" or "callee") and the
+   *   callSid of the call the callee opted out on
+   * @returns { entry, created }
+   */
+  add(number, { reason = null, source = 'api', callSid = null } = {}) {
+    const key = parsePhoneNumber(number).number;
+    const existing = this.entries.get(key);
+    if (existing) {
+      return { entry: existing, created: false };
+    }
+
+    const entry = { number: key, reason, source, callSid, addedAt: new Date().toISOString() };
+    this.entries.set(key, entry);
+    this.scheduleWrite();
+    console.log(`Added ${key} to the do-not-call list (${source})`);
+    return { entry, created: true };
+  }
+
+  /**
+   * Takes a number off the list
+   * @param number Phone number in any format
+   * @returns True if it was listed
+   */
+  remove(number) {
+    const removed = this.entries.delete(this.key(number));
+    if (removed) {
+      this.scheduleWrite();
+    }
+    return removed;
+  }
+
+  /**
+   * Adds every number of a CSV file. The number is read from a column
+   * named phoneNumber, phone or number (or the first column if there is
+   * no header row) and the reason from a reason or note column.
+   * @param text CSV text
+   * @param defaultReason Reason for rows that don't give one
+   * @returns Counts of added and already listed numbers, and the rows
+   *   that could not be read
+   */
+  importCsv(text, defaultReason = null) {
+    const rows = parseCsv(text);
+    const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+    const hasHeader = header.some(cell => NUMBER_COLUMNS.includes(cell));
+    const numberColumn = hasHeader ? header.findIndex(cell => NUMBER_COLUMNS.includes(cell)) : 0;
+    const reasonColumn = hasHeader ? header.findIndex(cell => REASON_COLUMNS.includes(cell)) : 1;
+
+    const result = { added: 0, alreadyListed: 0, invalid: [] };
+    rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+      const value = (row[numberColumn] || '').trim();
+      try {
+        const { created } = this.add(value, {
+          reason: row[reasonColumn]?.trim() || defaultReason,
+          source: 'import'
+        });
+        result[created ? 'added' : 'alreadyListed']++;
+      } catch (error) {
+        result.invalid.push({ row: index + (hasHeader ? 2 : 1), value, error: error.message });
+      }
+    });
+
+    return result;
+  }
+}
+
+export const doNotCallList = new DoNotCallRegistry();
+
+/**
+ * Refuses numbers on the do-not-call list
+ * @param number E.164 number about to be called
+ */
+export function assertNotOnDoNotCallList(number) {
+  if (doNotCallList.has(number)) {
+    throw Object.assign(new Error(`${number} is on the do-not-call list`), {
+      statusCode: 403,
+      code: 'do_not_call'
+    });
+  }
+}
@@ -0,0 +1,128 @@
+import { SAMPLE_RATE, pcmToMulaw } from '../utils/audio.js';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_TERMINATOR = '#';
+
+// Row and column frequencies (Hz) of each key on a DTMF keypad
+const DTMF_FREQUENCIES = {
+  '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+  '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+  '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+  '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633]
+};
+
+const TONE_MS = 150;
+const GAP_MS = 100;
+const WAIT_MS = 500; // "w" in a digit string, as in Twilio's sendDigits
+const TONE_AMPLITUDE = 10000; // Per frequency, well clear of clipping
+
+/**
+ * How keypad input reaches the agent: as something the caller said
+ * ("user_message") or as background information ("contextual_update")
+ * @returns The configured DTMF_MODE
+ */
+export function getDtmfMode() {
+  return process.env.DTMF_MODE === 'contextual_update' ? 'contextual_update' : 'user_message';
+}
+
+/**
+ * Text sent to the agent for a group of keypad presses
+ * @param digits The digits, without the terminator
+ * @returns Message for the agent
+ */
+export function describeDigits(digits) {
+  return `The caller entered ${digits} on their phone keypad.`;
+}
+
+/**
+ * Buffers keypad presses from Twilio dtmf events into groups, so an
+ * account number arrives as one entry rather than one per key. A group
+ * ends when the caller presses the terminator (DTMF_TERMINATOR, default
+ * "#"), after DTMF_MAX_DIGITS digits, or when no key has been pressed for
+ * DTMF_TIMEOUT_MS.
+ */
+export class DtmfCollector {
+  /**
+   * @param onDigits Called with the digits of each completed group
+   */
+  constructor(onDigits) {
+    this.onDigits = onDigits;
+    this.digits = '';
+    this.timer = null;
+    this.timeoutMs = parseInt(process.env.DTMF_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS));
+    this.terminator = process.env.DTMF_TERMINATOR ?? DEFAULT_TERMINATOR;
+    this.maxDigits = parseInt(process.env.DTMF_MAX_DIGITS || '0');
+  }
+
+  /**
+   * Adds one key press
+   * @param digit 0-9, *, # (or A-D)
+   */
+  add(digit) {
+    clearTimeout(this.timer);
+
+    if (this.terminator && digit === this.terminator) {
+      this.flush();
+      return;
+    }
+
+    this.digits += digit;
+    if (this.maxDigits > 0 && this.digits.length >= this.maxDigits) {
+      this.flush();
+      return;
+    }
+
+    this.timer = setTimeout(() => this.flush(), this.timeoutMs);
+  }
+
+  // Hands the buffered digits on, if there are any
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const digits = this.digits;
+    this.digits = '';
+    if (digits) {
+      this.onDigits(digits);
+    }
+  }
+}
+
+/**
+ * Checks a digit string for send_dtmf: keys 0-9, *, #, A-D, and "w" for a
+ * half-second pause
+ * @param digits Digit string from the agent
+ * @returns True if every character can be played
+ */
+export function isValidDtmfSequence(digits) {
+  return typeof digits === 'string' && /^[0-9*#A-Dw]{1,64}$/.test(digits);
+}
+
+/**
+ * Generates the tones of a digit string as μ-law audio for a Twilio
+ * media stream
+ * @param digits Digit string, see isValidDtmfSequence
+ * @returns Buffer of 8 kHz μ-law audio
+ */
+export function generateDtmfAudio(digits) {
+  const samplesPerMs = SAMPLE_RATE / 1000;
+  const chunks = [];
+
+  for (const key of digits) {
+    if (key === 'w') {
+      chunks.push(new Int16Array(WAIT_MS * samplesPerMs));
+      continue;
+    }
+
+    const [low, high] = DTMF_FREQUENCIES[key];
+    const tone = new Int16Array((TONE_MS + GAP_MS) * samplesPerMs);
+    for (let i = 0; i < TONE_MS * samplesPerMs; i++) {
+      const t = i / SAMPLE_RATE;
+      tone[i] = Math.round(TONE_AMPLITUDE *
+        (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t)));
+    }
+    chunks.push(tone);
+  }
+
+  return Buffer.concat(chunks.map(pcmToMulaw));
+}
@@ -0,0 +1,78 @@
+import { getAgentConfig } from './agents.js';
+import { invalid } from '../utils/errors.js';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Filled in by ElevenLabs itself (system__caller_id, system__time_utc, ...)
+const SYSTEM_PREFIX = 'system__';
+
+/**
+ * Lists the {{placeholders}} in a prompt or message
+ * @param text Template text
+ * @returns Placeholder names, without system variables
+ */
+export function findPlaceholders(text) {
+  const names = new Set();
+  for (const [, name] of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!name.startsWith(SYSTEM_PREFIX)) {
+      names.add(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Checks a call's variables against the agent they are meant for. The
+ * agent expects the placeholders in the prompt and first message the
+ * call will use (its own, or the ones the request overrides them with)
+ * and any it declares defaults for. Missing variables without a default
+ * and variables the agent never uses are both rejected.
+ * @param variables Map of name -> string, number or boolean
+ * @param options agentId, and the prompt and firstMessage the request
+ *   overrides the agent's with, if any
+ * @returns The variables, ready to send as dynamic_variables
+ */
+export async function resolveDynamicVariables(variables, { agentId, prompt, firstMessage } = {}) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw invalid('variables must be an object of name -> value');
+  }
+
+  for (const [name, value] of Object.entries(variables)) {
+    if (!NAME_PATTERN.test(name) || name.startsWith(SYSTEM_PREFIX)) {
+      throw invalid(`"${name}" is not a valid variable name`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw invalid(`Variable "${name}" must be a string, number or boolean`);
+    }
+  }
+
+  agentId = agentId || process.env.ELEVENLABS_AGENT_ID;
+  let agent;
+  try {
+    agent = await getAgentConfig(agentId);
+  } catch (error) {
+    throw Object.assign(new Error(`Could not check variables: ${error.message}`), { statusCode: 502 });
+  }
+
+  const config = agent.conversation_config?.agent || {};
+  const defaults = config.dynamic_variables?.dynamic_variable_placeholders || {};
+  const used = new Set([
+    ...findPlaceholders(prompt || config.prompt?.prompt),
+    ...findPlaceholders(firstMessage || config.first_message)
+  ]);
+  const expected = new Set([...used, ...Object.keys(defaults)]);
+
+  const unknown = Object.keys(variables).filter(name => !expected.has(name));
+  if (unknown.length > 0) {
+    const known = expected.size > 0 ? [...expected].join(', ') : 'none';
+    throw invalid(`Agent ${agentId} does not use variables: ${unknown.join(', ')} (expected: ${known})`);
+  }
+
+  const missing = [...used].filter(name => variables[name] === undefined && defaults[name] === undefined);
+  if (missing.length > 0) {
+    throw invalid(`Missing variables for agent ${agentId}: ${missing.join(', ')}`);
+  }
+
+  return { ...variables };
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import { resolveAgentOverrides } from './agentOverrides.js';
+
+/**
+ * Routing table for inbound calls, keyed by the dialed (To) number.
+ *
+ * Loaded from the JSON file named by INBOUND_ROUTES_FILE, or from the
+ * INBOUND_ROUTES environment variable. Each entry may set agentId, voiceId,
+ * language, llm, prompt, firstMessage and a display name. The optional
+ * "default" entry is used for numbers that have no route of their own.
+ */
+let routes = null;
+
+/**
+ * Strips formatting from a phone number so table keys and Twilio's To
+ * parameter compare equal ("+1 (555) 123-4567" -> "+15551234567")
+ * @param number Phone number in any format
+ * @returns Digits with a leading +
+ */
+export function normalizeRouteNumber(number) {
+  const digits = String(number || '').replace(/[^\d]/g, '');
+  return digits ? `+${digits}` : '';
+}
+
+/**
+ * Loads the routing table from the configured source
+ * @returns Map of normalized number -> route
+ */
+export function loadInboundRoutes() {
+  let raw = {};
+
+  try {
+    if (process.env.INBOUND_ROUTES_FILE) {
+      raw = JSON.parse(fs.readFileSync(process.env.INBOUND_ROUTES_FILE, 'utf8'));
+    } else if (process.env.INBOUND_ROUTES) {
+      raw = JSON.parse(process.env.INBOUND_ROUTES);
+    }
+  } catch (error) {
+    console.error('Error loading inbound routes:', error);
+    raw = {};
+  }
+
+  routes = new Map();
+  for (const [number, route] of Object.entries(raw)) {
+    const key = number === 'default' ? 'default' : normalizeRouteNumber(number);
+    if (!key) {
+      continue;
+    }
+
+    try {
+      routes.set(key, { ...route, ...resolveAgentOverrides(route || {}) });
+    } catch (error) {
+      console.error(`Skipping inbound route ${number}: ${error.message}`);
+    }
+  }
+
+  console.log(`Loaded ${routes.size} inbound route(s)`);
+  return routes;
+}
+
+/**
+ * Finds the route for a dialed number, falling back to the default route
+ * @param toNumber The number the caller dialed (Twilio's To parameter)
+ * @returns The matching route, or null if nothing matches
+ */
+export function resolveInboundRoute(toNumber) {
+  if (!routes) {
+    loadInboundRoutes();
+  }
+
+  const key = normalizeRouteNumber(toNumber);
+  if (key && routes.has(key)) {
+    return { number: key, ...routes.get(key) };
+  }
+
+  if (routes.has('default')) {
+    return { number: 'default', ...routes.get('default') };
+  }
+
+  return null;
+}
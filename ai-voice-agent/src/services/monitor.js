@@ -0,0 +1,174 @@
+import WebSocket from 'ws';
+import { callRegistry } from './callRegistry.js';
+import { SAMPLE_RATE, mulawToPcm } from '../utils/audio.js';
+
+const TICK_MS = 100;
+const SAMPLES_PER_TICK = SAMPLE_RATE * TICK_MS / 1000;
+
+// Caller audio beyond this is dropped, capping how far listeners lag behind
+const MAX_CALLER_BACKLOG = SAMPLES_PER_TICK * 5;
+
+// Listeners that can't keep up stop getting audio until they catch up
+const MAX_LISTENER_BUFFER_BYTES = 64 * 1024;
+
+/**
+ * Streams live calls to supervisors.
+ *
+ * Each listener gets the caller and agent mixed into one 8 kHz 16-bit PCM
+ * channel as binary messages, and JSON text messages for the transcript
+ * and status changes. The media relay only queues raw payloads here, and
+ * only for calls someone is listening to; decoding and mixing happen on a
+ * timer, off the Twilio <-> ElevenLabs path.
+ */
+class CallMonitor {
+  constructor() {
+    this.sessions = new Map(); // callSid -> session
+
+    callRegistry.on('transcript', (record, entry) => {
+      this.broadcast(record.callSid, { type: 'transcript', ...entry });
+    });
+    callRegistry.on('status', (record) => {
+      this.broadcast(record.callSid, { type: 'status', status: record.status });
+    });
+    callRegistry.on('ended', (record) => this.closeSession(record.callSid));
+  }
+
+  /**
+   * Adds a supervisor's WebSocket to a call
+   * @param callSid Twilio call SID
+   * @param socket The supervisor's WebSocket
+   */
+  addListener(callSid, socket) {
+    let session = this.sessions.get(callSid);
+    if (!session) {
+      session = {
+        listeners: new Set(),
+        caller: [],                   // Base64 payloads queued by the relay
+        agent: [],
+        callerBuffer: Buffer.alloc(0), // μ-law bytes not yet mixed
+        agentBuffer: Buffer.alloc(0)
+      };
+      session.timer = setInterval(() => this.mix(session), TICK_MS);
+      this.sessions.set(callSid, session);
+    }
+    session.listeners.add(socket);
+
+    const record = callRegistry.get(callSid);
+    this.send(socket, {
+      type: 'start',
+      callSid,
+      status: record?.status || null,
+      sampleRate: SAMPLE_RATE,
+      encoding: 'pcm_s16le',
+      channels: 1
+    });
+    for (const entry of record?.transcript || []) {
+      this.send(socket, { type: 'transcript', ...entry });
+    }
+
+    socket.on('close', () => this.removeListener(callSid, socket));
+  }
+
+  removeListener(callSid, socket) {
+    const session = this.sessions.get(callSid);
+    if (!session) {
+      return;
+    }
+
+    session.listeners.delete(socket);
+    if (session.listeners.size === 0) {
+      clearInterval(session.timer);
+      this.sessions.delete(callSid);
+    }
+  }
+
+  /**
+   * Queues a caller frame from the media stream
+   * @param callSid Twilio call SID
+   * @param payload Base64 μ-law audio
+   */
+  addCallerAudio(callSid, payload) {
+    this.sessions.get(callSid)?.caller.push(payload);
+  }
+
+  /**
+   * Queues agent audio as it is sent to Twilio
+   * @param callSid Twilio call SID
+   * @param payload Base64 μ-law audio
+   */
+  addAgentAudio(callSid, payload) {
+    this.sessions.get(callSid)?.agent.push(payload);
+  }
+
+  // Drops agent audio not yet heard, as Twilio does on "clear"
+  clearAgentAudio(callSid) {
+    const session = this.sessions.get(callSid);
+    if (session) {
+      session.agent = [];
+      session.agentBuffer = Buffer.alloc(0);
+    }
+  }
+
+  // Mixes one tick of audio and sends it to every listener. Agent audio
+  // arrives faster than real time, so it is played out one tick at a time.
+  mix(session) {
+    const decode = (buffer, pending) =>
+      Buffer.concat([buffer, ...pending.map(payload => Buffer.from(payload, 'base64'))]);
+
+    session.callerBuffer = decode(session.callerBuffer, session.caller);
+    session.agentBuffer = decode(session.agentBuffer, session.agent);
+    session.caller = [];
+    session.agent = [];
+
+    if (session.callerBuffer.length > MAX_CALLER_BACKLOG) {
+      session.callerBuffer = session.callerBuffer.subarray(session.callerBuffer.length - SAMPLES_PER_TICK);
+    }
+
+    const caller = mulawToPcm(session.callerBuffer.subarray(0, SAMPLES_PER_TICK));
+    const agent = mulawToPcm(session.agentBuffer.subarray(0, SAMPLES_PER_TICK));
+    session.callerBuffer = session.callerBuffer.subarray(caller.length);
+    session.agentBuffer = session.agentBuffer.subarray(agent.length);
+
+    const mixed = new Int16Array(SAMPLES_PER_TICK);
+    for (let i = 0; i < SAMPLES_PER_TICK; i++) {
+      mixed[i] = Math.max(-32768, Math.min(32767, (caller[i] || 0) + (agent[i] || 0)));
+    }
+
+    const frame = Buffer.from(mixed.buffer);
+    for (const socket of session.listeners) {
+      if (socket.readyState === WebSocket.OPEN && socket.bufferedAmount < MAX_LISTENER_BUFFER_BYTES) {
+        socket.send(frame);
+      }
+    }
+  }
+
+  broadcast(callSid, event) {
+    const session = this.sessions.get(callSid);
+    for (const socket of session?.listeners || []) {
+      this.send(socket, event);
+    }
+  }
+
+  send(socket, event) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(event));
+    }
+  }
+
+  // The call is over - tell listeners and hang up on them
+  closeSession(callSid) {
+    const session = this.sessions.get(callSid);
+    if (!session) {
+      return;
+    }
+
+    this.broadcast(callSid, { type: 'ended' });
+    clearInterval(session.timer);
+    this.sessions.delete(callSid);
+    for (const socket of session.listeners) {
+      socket.close(1000, 'Call ended');
+    }
+  }
+}
+
+export const callMonitor = new CallMonitor();
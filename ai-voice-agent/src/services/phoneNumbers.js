@@ -0,0 +1,70 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+import { invalid } from '../utils/errors.js';
+
+// Number types that cost extra per minute
+const PREMIUM_TYPES = ['PREMIUM_RATE', 'SHARED_COST'];
+
+// Numbers not tied to a place or a subscriber line
+const NON_GEOGRAPHIC_TYPES = ['UAN', 'PERSONAL_NUMBER', 'PAGER', 'VOICEMAIL'];
+
+/**
+ * Countries calls may be placed to, from ALLOWED_COUNTRIES
+ * @returns ISO 3166 country codes, or null if every country is allowed
+ */
+export function getAllowedCountries() {
+  const countries = String(process.env.ALLOWED_COUNTRIES || '')
+    .split(',')
+    .map(country => country.trim().toUpperCase())
+    .filter(Boolean);
+  return countries.length > 0 ? countries : null;
+}
+
+/**
+ * Parses a phone number into E.164. Numbers without a country code are
+ * read as numbers in DEFAULT_PHONE_COUNTRY; without one, they must
+ * include the country code (with or without the leading + or 00).
+ * @param number Phone number in any common format
+ * @returns The parsed number (libphonenumber-js PhoneNumber)
+ */
+export function parsePhoneNumber(number) {
+  const input = String(number || '').trim();
+  const defaultCountry = process.env.DEFAULT_PHONE_COUNTRY?.toUpperCase() || undefined;
+
+  // "00" is the international prefix nearly everywhere outside North America
+  let candidate = input.replace(/^00/, '+');
+  if (!defaultCountry && !candidate.startsWith('+')) {
+    candidate = `+${candidate}`;
+  }
+
+  const parsed = parsePhoneNumberFromString(candidate, defaultCountry);
+  if (!parsed || !parsed.isValid()) {
+    throw invalid(`${input || 'Phone number'} is not a valid phone number`, 'invalid_number');
+  }
+  return parsed;
+}
+
+/**
+ * Parses a destination number into E.164 and checks that it may be
+ * called. Errors have a statusCode of 400 and a code: invalid_number,
+ * premium_rate, non_geographic or country_not_allowed.
+ * @param number Phone number in any common format
+ * @returns The number in E.164 format, e.g. +14155550123
+ */
+export function normalizePhoneNumber(number) {
+  const parsed = parsePhoneNumber(number);
+
+  const type = parsed.getType();
+  if (PREMIUM_TYPES.includes(type)) {
+    throw invalid(`${parsed.number} is a premium-rate number`, 'premium_rate');
+  }
+  if (!parsed.country || NON_GEOGRAPHIC_TYPES.includes(type)) {
+    throw invalid(`${parsed.number} is a non-geographic number`, 'non_geographic');
+  }
+
+  const allowed = getAllowedCountries();
+  if (allowed && !allowed.includes(parsed.country)) {
+    throw invalid(`Calls to ${parsed.country} are not allowed (${parsed.number})`, 'country_not_allowed');
+  }
+
+  return parsed.number;
+}
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { SAMPLE_RATE, mulawToPcm, encodeWav } from '../utils/audio.js';
+
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+/**
+ * Directory recordings are written to
+ * @returns Absolute path of the recordings directory
+ */
+export function getRecordingsDir() {
+  return path.resolve(process.env.RECORDINGS_DIR || './recordings');
+}
+
+/**
+ * Whether calls should be recorded when they don't say otherwise
+ * @returns True if RECORD_CALLS is enabled
+ */
+export function isRecordingEnabledByDefault() {
+  return process.env.RECORD_CALLS === 'true';
+}
+
+/**
+ * Records both sides of a media stream to a stereo WAV file:
+ * caller on the left channel, agent on the right.
+ *
+ * Caller frames are placed by the timestamp Twilio puts on each media
+ * event. Agent audio arrives from ElevenLabs faster than real time and is
+ * played back by Twilio in order, so each chunk is placed where the
+ * previous one ends, or at the current time if the agent was silent.
+ */
+export class CallRecorder {
+  constructor({ callSid }) {
+    this.callSid = callSid;
+    this.startTime = Date.now();
+    this.callerChunks = [];
+    this.agentChunks = [];
+    this.agentCursor = 0; // Sample position where the next agent chunk starts playing
+  }
+
+  // Current position in the recording, in samples
+  elapsedSamples() {
+    return Math.round((Date.now() - this.startTime) * SAMPLES_PER_MS);
+  }
+
+  /**
+   * Adds a caller frame from a Twilio media event
+   * @param payload Base64 μ-law audio
+   * @param timestamp Milliseconds since the stream started, from Twilio
+   */
+  addCallerAudio(payload, timestamp) {
+    const ms = parseInt(timestamp);
+    const offset = Number.isNaN(ms) ? this.elapsedSamples() : Math.round(ms * SAMPLES_PER_MS);
+    this.callerChunks.push({ offset, audio: Buffer.from(payload, 'base64') });
+  }
+
+  /**
+   * Adds an agent audio chunk as it is forwarded to Twilio
+   * @param payload Base64 μ-law audio
+   */
+  addAgentAudio(payload) {
+    const audio = Buffer.from(payload, 'base64');
+    const offset = Math.max(this.agentCursor, this.elapsedSamples());
+    this.agentChunks.push({ offset, audio });
+    this.agentCursor = offset + audio.length;
+  }
+
+  /**
+   * Drops agent audio that hadn't been played yet. Mirrors the "clear"
+   * message sent to Twilio when the caller interrupts the agent.
+   */
+  clearAgentAudio() {
+    const now = this.elapsedSamples();
+
+    this.agentChunks = this.agentChunks
+      .filter(chunk => chunk.offset < now)
+      .map(chunk => chunk.offset + chunk.audio.length > now
+        ? { offset: chunk.offset, audio: chunk.audio.subarray(0, now - chunk.offset) }
+        : chunk);
+    this.agentCursor = Math.min(this.agentCursor, now);
+  }
+
+  /**
+   * Writes the recording to the recordings directory
+   * @returns Path and length of the written file
+   */
+  async save() {
+    const end = (chunks) => chunks.reduce((max, chunk) => Math.max(max, chunk.offset + chunk.audio.length), 0);
+    const length = Math.max(end(this.callerChunks), end(this.agentChunks));
+
+    const render = (chunks) => {
+      const samples = new Int16Array(length);
+      for (const chunk of chunks) {
+        samples.set(mulawToPcm(chunk.audio), chunk.offset);
+      }
+      return samples;
+    };
+
+    const wav = encodeWav([render(this.callerChunks), render(this.agentChunks)]);
+    const dir = getRecordingsDir();
+    const filePath = path.join(dir, `${this.callSid}.wav`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath, wav);
+
+    console.log(`Saved recording for ${this.callSid} to ${filePath}`);
+    return {
+      file: filePath,
+      durationSeconds: Math.round(length / SAMPLE_RATE)
+    };
+  }
+}
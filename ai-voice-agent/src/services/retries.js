@@ -0,0 +1,185 @@
+import { callRegistry } from './callRegistry.js';
+import { placeCall } from './dialer.js';
+import { callScheduler, planCall } from './scheduler.js';
+import { callLimiter } from './callLimits.js';
+import { AGENT_OVERRIDE_FIELDS } from './agentOverrides.js';
+import { invalid } from '../utils/errors.js';
+
+const RETRYABLE_STATUSES = ['busy', 'no-answer', 'failed'];
+
+// Call record fields every attempt inherits from the first one
+const CARRIED_FIELDS = [
+  'prompt',
+  'firstMessage',
+  'callbackUrl',
+  'record',
+  'campaignId',
+  'timezone',
+  'callingWindow',
+  'retryPolicy',
+  'machineDetection',
+  'variables',
+  ...AGENT_OVERRIDE_FIELDS
+];
+
+/**
+ * Builds a retry policy from the request, with RETRY_* env defaults.
+ * maxAttempts counts the first call, so 1 means never retry.
+ * @param policy Optional { maxAttempts, backoffSeconds, backoffMultiplier, retryOn }
+ * @returns The complete policy
+ */
+export function resolveRetryPolicy(policy = {}) {
+  const resolved = {
+    maxAttempts: parseInt(policy.maxAttempts ?? process.env.RETRY_MAX_ATTEMPTS ?? '1'),
+    backoffSeconds: parseFloat(policy.backoffSeconds ?? process.env.RETRY_BACKOFF_SECONDS ?? '300'),
+    backoffMultiplier: parseFloat(policy.backoffMultiplier ?? process.env.RETRY_BACKOFF_MULTIPLIER ?? '1'),
+    retryOn: policy.retryOn ??
+      (process.env.RETRY_ON ? process.env.RETRY_ON.split(',').map(status => status.trim()) : RETRYABLE_STATUSES)
+  };
+
+  if (!Number.isInteger(resolved.maxAttempts) || resolved.maxAttempts < 1 || resolved.maxAttempts > 10) {
+    throw invalid('retry.maxAttempts must be a whole number from 1 to 10');
+  }
+  if (!(resolved.backoffSeconds >= 0) || !(resolved.backoffMultiplier >= 1)) {
+    throw invalid('retry.backoffSeconds must be >= 0 and retry.backoffMultiplier >= 1');
+  }
+  if (!Array.isArray(resolved.retryOn) || resolved.retryOn.some(status => !RETRYABLE_STATUSES.includes(status))) {
+    throw invalid(`retry.retryOn may only contain ${RETRYABLE_STATUSES.join(', ')}`);
+  }
+
+  return resolved;
+}
+
+// The RETRY_* policy, read once at startup; null if it never retries
+const DEFAULT_RETRY_POLICY = (() => {
+  try {
+    const policy = resolveRetryPolicy();
+    return policy.maxAttempts > 1 ? policy : null;
+  } catch (error) {
+    console.error(`Ignoring RETRY_* settings, calls without a retry policy won't be retried: ${error.message}`);
+    return null;
+  }
+})();
+
+/**
+ * The retry policy of a call placed without one, from the RETRY_* settings
+ * @returns The policy, or null if those calls aren't retried
+ */
+export function getDefaultRetryPolicy() {
+  return DEFAULT_RETRY_POLICY;
+}
+
+// Summary of one attempt, kept on the first attempt's record
+function summarizeAttempt(record) {
+  return {
+    attempt: record.attempt || 1,
+    callSid: record.callSid,
+    status: record.status,
+    startedAt: record.createdAt,
+    endedAt: record.status ? record.timestamps[record.status] || null : null,
+    duration: record.duration,
+    error: record.error || null
+  };
+}
+
+/**
+ * Re-dials calls that end busy, unanswered or failed, following each
+ * call's retry policy. Only calls placed with a policy (their own, or the
+ * RETRY_* default given when they were requested) are retried. Every attempt is a call record of its own, linked
+ * to the first by rootCallSid; the first record keeps the history of all
+ * attempts. Retries go through the scheduler, so they survive a restart
+ * and respect the call's calling window.
+ */
+class RetryManager {
+  constructor() {
+    callRegistry.on('created', (record) => this.linkAttempt(record));
+    callRegistry.on('status', (record) => this.trackAttempt(record));
+    callRegistry.on('attemptEnded', (record) => this.handleAttemptEnded(record));
+    callScheduler.on('failed', (job) => this.handleRetryFailed(job));
+  }
+
+  // Once the retry is placed, the attempt before it is superseded for good
+  linkAttempt(record) {
+    if (record.retryOf) {
+      callRegistry.update(record.retryOf, { retryPending: false, retriedBy: record.callSid });
+    }
+  }
+
+  // Keeps the attempt history on the first attempt's record up to date
+  trackAttempt(record) {
+    const root = record.rootCallSid ? callRegistry.get(record.rootCallSid) : record;
+    if (!root || record.direction !== 'outbound') {
+      return;
+    }
+
+    const attempts = root.attempts || [];
+    const index = attempts.findIndex(attempt => attempt.callSid === record.callSid);
+    if (index === -1) {
+      attempts.push(summarizeAttempt(record));
+    } else {
+      attempts[index] = summarizeAttempt(record);
+    }
+    callRegistry.update(root.callSid, { attempts, nextAttemptAt: null });
+  }
+
+  handleAttemptEnded(record) {
+    const root = record.rootCallSid ? callRegistry.get(record.rootCallSid) : record;
+    if (!root || record.direction !== 'outbound') {
+      return;
+    }
+
+    const policy = root.retryPolicy;
+    const attempt = record.attempt || 1;
+    if (!policy || !policy.retryOn.includes(record.status) || attempt >= policy.maxAttempts) {
+      return;
+    }
+
+    // Hold back 'ended', and with it the completion webhook, until the last attempt
+    callRegistry.update(record.callSid, { retryPending: true });
+
+    const delaySeconds = policy.backoffSeconds * policy.backoffMultiplier ** (attempt - 1);
+    const call = { to: root.to, rootCallSid: root.callSid, attempt: attempt + 1 };
+    for (const field of CARRIED_FIELDS) {
+      if (root[field] !== undefined) {
+        call[field] = root[field];
+      }
+    }
+
+    try {
+      const plan = planCall({
+        to: root.to,
+        scheduledAt: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+        timezone: root.timezone,
+        callingWindow: root.callingWindow
+      });
+
+      console.log(`Call ${record.callSid} ended ${record.status}, retrying (attempt ${attempt + 1}/${policy.maxAttempts})`);
+
+      // Retries wait for the concurrency caps like any other call; the
+      // scheduler holds due jobs back until there is room
+      if (plan.runAt || !callLimiter.hasCapacity()) {
+        const job = callScheduler.schedule({ ...call, retryOf: record.callSid }, { ...plan, runAt: plan.runAt || new Date() });
+        callRegistry.update(root.callSid, { nextAttemptAt: job.runAt });
+      } else {
+        callLimiter.track(() => placeCall({ ...call, retryOf: record.callSid })).catch(error => {
+          console.error(`Error placing retry of ${record.callSid}:`, error);
+          callRegistry.update(record.callSid, { error: error.message });
+          callRegistry.releaseRetry(record.callSid);
+        });
+      }
+    } catch (error) {
+      console.error(`Error scheduling retry of ${record.callSid}:`, error);
+      callRegistry.releaseRetry(record.callSid);
+    }
+  }
+
+  // A retry the scheduler couldn't place ends the call after all
+  handleRetryFailed(job) {
+    if (job.call.retryOf) {
+      callRegistry.update(job.call.retryOf, { error: job.error });
+      callRegistry.releaseRetry(job.call.retryOf);
+    }
+  }
+}
+
+export const retryManager = new RetryManager();
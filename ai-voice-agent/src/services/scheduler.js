@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { placeCall } from './dialer.js';
+import { callLimiter } from './callLimits.js';
+import { inferTimezone, isValidTimezone } from '../utils/timezones.js';
+import { loadJsonFile, createJsonWriter } from '../utils/jsonStore.js';
+import { invalid } from '../utils/errors.js';
+
+const CHECK_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '15000');
+
+/**
+ * Parses a calling window like { start: "09:00", end: "20:00" } or "09:00-20:00"
+ * @param window Window from the request or DEFAULT_CALLING_WINDOW
+ * @returns Window as minutes since midnight, or null if none was given
+ */
+export function parseCallingWindow(window) {
+  if (!window) {
+    return null;
+  }
+
+  const [start, end] = typeof window === 'string'
+    ? window.split('-')
+    : [window.start, window.end];
+
+  const toMinutes = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+      throw invalid(`Invalid calling window time: ${value} (expected HH:MM)`);
+    }
+    return Math.min(parseInt(match[1]) * 60 + parseInt(match[2]), 1440);
+  };
+
+  const parsed = { start: toMinutes(start), end: toMinutes(end) };
+  if (parsed.start === parsed.end) {
+    throw invalid('Calling window start and end must differ');
+  }
+  return parsed;
+}
+
+// Minutes since midnight -> "HH:MM"
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Minutes since midnight of a moment, in the given time zone
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+function isInWindow(minutes, window) {
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end; // Window wraps past midnight
+}
+
+/**
+ * Finds the first moment at or after `date` that falls inside the calling
+ * window in the recipient's time zone
+ * @param date Earliest acceptable time
+ * @param timezone Recipient's IANA time zone
+ * @param window Calling window from parseCallingWindow
+ * @returns The time the call may be placed
+ */
+export function nextAllowedTime(date, timezone, window) {
+  const minutes = localMinutes(date, timezone);
+  if (isInWindow(minutes, window)) {
+    return date;
+  }
+
+  // Jump to the start of the next window, then correct once in case a DST
+  // change happened in between
+  const startOfMinute = date.getTime() - (date.getTime() % 60000);
+  const delay = (window.start - minutes + 1440) % 1440;
+  let candidate = new Date(startOfMinute + delay * 60000);
+  const drift = localMinutes(candidate, timezone) - window.start;
+  if (drift !== 0) {
+    candidate = new Date(candidate.getTime() - drift * 60000);
+  }
+  return candidate;
+}
+
+/**
+ * Works out when a call should be placed
+ * @param options Number (E.164), requested time, time zone and calling window
+ * @returns { runAt, timezone, window } - runAt is null if the call can go now
+ */
+export function planCall({ to, scheduledAt, timezone, callingWindow }) {
+  let requested = new Date();
+  if (scheduledAt) {
+    requested = new Date(scheduledAt);
+    if (Number.isNaN(requested.getTime())) {
+      throw invalid(`Invalid scheduledAt: ${scheduledAt} (expected an ISO 8601 date)`);
+    }
+  }
+
+  const window = parseCallingWindow(callingWindow || process.env.DEFAULT_CALLING_WINDOW);
+
+  if (timezone && !isValidTimezone(timezone)) {
+    throw invalid(`Unknown timezone: ${timezone}`);
+  }
+  const zone = timezone || inferTimezone(to) || process.env.DEFAULT_CALL_TIMEZONE || null;
+
+  if (window && !zone) {
+    throw invalid(`Cannot infer the time zone of ${to}; pass a timezone to use a calling window`);
+  }
+
+  const runAt = window ? nextAllowedTime(requested, zone, window) : requested;
+  const isDue = runAt.getTime() <= Date.now();
+
+  return {
+    runAt: isDue ? null : runAt,
+    timezone: zone,
+    window
+  };
+}
+
+/**
+ * In-process scheduler for calls placed later. Jobs are saved to
+ * SCHEDULER_FILE so they survive a restart; jobs that came due while the
+ * server was down are placed on the next check, if still inside their
+ * calling window. Due jobs wait while the concurrency caps of callLimiter
+ * are reached, and go as soon as a call ends. Emits 'failed' with the job
+ * when a call can't be placed, or was being placed when the server
+ * stopped.
+ */
+class CallScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.filePath = process.env.SCHEDULER_FILE || './data/scheduled-calls.json';
+    this.scheduleWrite = createJsonWriter(this.filePath, () => Array.from(this.jobs.values()));
+    this.timer = null;
+    this.running = false; // A run is placing calls
+    this.runAgain = false; // Another run was asked for meanwhile
+    this.interrupted = []; // Jobs the last run stopped in the middle of placing
+
+    for (const job of loadJsonFile(this.filePath, [])) {
+      // Twilio may or may not have placed the call, so it isn't tried again
+      if (job.status === 'placing') {
+        job.status = 'failed';
+        job.error = 'Server stopped while placing the call; Twilio may or may not have placed it';
+        job.updatedAt = new Date().toISOString();
+        this.interrupted.push(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+    if (this.interrupted.length > 0) {
+      this.scheduleWrite();
+    }
+
+    callLimiter.on('capacity', () => {
+      if (this.timer) {
+        this.runDueJobs();
+      }
+    });
+  }
+
+  // Start checking for due jobs
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const pending = Array.from(this.jobs.values()).filter(job => job.status === 'scheduled').length;
+    console.log(`Call scheduler started with ${pending} pending job(s)`);
+    for (const job of this.interrupted.splice(0)) {
+      console.warn(`Scheduled call ${job.id} was interrupted while placing, marked failed`);
+      this.emit('failed', job);
+    }
+    this.timer = setInterval(() => this.runDueJobs(), CHECK_INTERVAL_MS);
+    this.runDueJobs();
+  }
+
+  /**
+   * Schedules a call
+   * @param call Options for placeCall (to, prompt, firstMessage, ...)
+   * @param plan Result of planCall
+   * @returns The scheduled job
+   */
+  schedule(call, { runAt, timezone, window }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'scheduled',
+      runAt: runAt.toISOString(),
+      timezone,
+      callingWindow: window ? { start: formatMinutes(window.start), end: formatMinutes(window.end) } : null,
+      call,
+      callSid: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.scheduleWrite();
+    console.log(`Scheduled call to ${call.to} for ${job.runAt} (${timezone || 'no time zone'})`);
+    return job;
+  }
+
+  /**
+   * @param id Job ID
+   * @returns The job, or undefined if unknown
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * @param status Optional status filter
+   * @returns Jobs ordered by run time
+   */
+  list(status) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+
+  /**
+   * Cancels a job that hasn't run yet
+   * @param id Job ID
+   * @returns The canceled job
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw Object.assign(new Error('Scheduled call not found'), { statusCode: 404 });
+    }
+    if (job.status !== 'scheduled') {
+      throw Object.assign(new Error(`Scheduled call is already ${job.status}`), { statusCode: 409 });
+    }
+
+    job.status = 'canceled';
+    job.updatedAt = new Date().toISOString();
+    this.scheduleWrite();
+    return job;
+  }
+
+  // Runs are asked for by the timer and by every 'capacity' event; one that
+  // arrives mid-run is carried out once the current run finishes, so no
+  // job is picked up by two runs at once
+  async runDueJobs() {
+    if (this.running) {
+      this.runAgain = true;
+      return;
+    }
+
+    this.running = true;
+    try {
+      do {
+        this.runAgain = false;
+        await this.placeDueJobs();
+      } while (this.runAgain);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async placeDueJobs() {
+    const now = new Date();
+    const due = Array.from(this.jobs.values())
+      .filter(job => job.status === 'scheduled' && new Date(job.runAt) <= now)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+
+    for (const job of due) {
+      // Jobs may be canceled while earlier ones are being placed
+      if (job.status !== 'scheduled') {
+        continue;
+      }
+
+      // A job that was due while the server was down may have missed its window
+      if (job.callingWindow && job.timezone) {
+        const next = nextAllowedTime(now, job.timezone, parseCallingWindow(job.callingWindow));
+        if (next > now) {
+          console.log(`Scheduled call ${job.id} missed its window, moving to ${next.toISOString()}`);
+          job.runAt = next.toISOString();
+          job.updatedAt = now.toISOString();
+          this.scheduleWrite();
+          continue;
+        }
+      }
+
+      // Jobs stay due, oldest first, until there is room for another call
+      if (!callLimiter.hasCapacity()) {
+        break;
+      }
+
+      job.status = 'placing';
+      job.updatedAt = new Date().toISOString();
+      this.scheduleWrite();
+      try {
+        const { call } = await callLimiter.track(() => placeCall({ ...job.call, scheduledCallId: job.id }));
+        job.status = 'placed';
+        job.callSid = call.sid;
+      } catch (error) {
+        console.error(`Error placing scheduled call ${job.id}:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      }
+      job.updatedAt = new Date().toISOString();
+      this.scheduleWrite();
+
+      if (job.status === 'failed') {
+        this.emit('failed', job);
+      }
+    }
+  }
+}
+
+export const callScheduler = new CallScheduler();
@@ -0,0 +1,52 @@
+import { getAgentConfig } from './agents.js';
+
+/**
+ * Finds the voice to speak in: ELEVENLABS_VOICE_ID, or the voice the
+ * agent is configured with so injected speech sounds like the agent
+ * @param agentId ElevenLabs agent ID
+ * @returns Voice ID
+ */
+async function resolveVoiceId(agentId) {
+  if (process.env.ELEVENLABS_VOICE_ID) {
+    return process.env.ELEVENLABS_VOICE_ID;
+  }
+
+  const agent = await getAgentConfig(agentId);
+  const voiceId = agent.conversation_config?.tts?.voice_id;
+  if (!voiceId) {
+    throw new Error(`Agent ${agentId} has no voice configured; set ELEVENLABS_VOICE_ID`);
+  }
+  return voiceId;
+}
+
+/**
+ * Speaks text with ElevenLabs text-to-speech in the format Twilio media
+ * streams carry
+ * @param text What to say
+ * @param agentId Agent whose voice to use (defaults to ELEVENLABS_AGENT_ID)
+ * @param voiceId Voice the call was given, if it overrides the agent's
+ * @returns Buffer of 8 kHz μ-law audio
+ */
+export async function synthesizeSpeech(text, agentId = process.env.ELEVENLABS_AGENT_ID, voiceId = null) {
+  voiceId = voiceId || await resolveVoiceId(agentId);
+
+  const response = await fetch(
+    `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?output_format=ulaw_8000`,
+    {
+      method: 'POST',
+      headers: {
+        'xi-api-key': process.env.ELEVENLABS_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text,
+        model_id: process.env.ELEVENLABS_TTS_MODEL || 'eleven_flash_v2_5'
+      })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Text-to-speech failed: ${response.status} - ${await response.text()}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 60;
+
+// Without STREAM_TOKEN_SECRET, tokens are only good until the process
+// restarts, which is no shorter than the call contexts they point to
+const secret = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+function getTtlSeconds() {
+  const ttl = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || String(DEFAULT_TTL_SECONDS));
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+// The purpose keeps a token for one kind of stream from opening the other
+function sign(purpose, callSid, contextId, expiresAt) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${purpose}.${callSid}.${contextId}.${expiresAt}`)
+    .digest('base64url');
+}
+
+function createToken(purpose, callSid, contextId) {
+  const expiresAt = Math.floor(Date.now() / 1000) + getTtlSeconds();
+  return `${expiresAt}.${sign(purpose, callSid, contextId, expiresAt)}`;
+}
+
+function verifyToken(purpose, token, callSid, contextId) {
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!expiresAt || !signature) {
+    return { valid: false, reason: `missing or malformed ${purpose} token` };
+  }
+
+  const expected = Buffer.from(sign(purpose, callSid, contextId, expiresAt));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: `${purpose} token signature does not match the call` };
+  }
+  if (Number(expiresAt) < Date.now() / 1000) {
+    return { valid: false, reason: `${purpose} token has expired` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Creates the token a call's TwiML passes to its media stream. It is tied
+ * to the call and its context, and expires after STREAM_TOKEN_TTL_SECONDS
+ * (default 60) - Twilio opens the stream as soon as it runs the TwiML.
+ * @param callSid Twilio call SID
+ * @param contextId Call context ID sent alongside the token
+ * @returns The token, "<expiry>.<signature>"
+ */
+export function createStreamToken(callSid, contextId) {
+  return createToken('stream', callSid, contextId);
+}
+
+/**
+ * Checks the token of a media stream's start event
+ * @param token Token from the start event's custom parameters
+ * @param callSid Call SID of the start event
+ * @param contextId Context ID of the start event
+ * @returns { valid, reason } with the reason a token was refused
+ */
+export function verifyStreamToken(token, callSid, contextId) {
+  return verifyToken('stream', token, callSid, contextId || '');
+}
+
+/**
+ * Creates a token that opens a supervisor's listen socket on one call, so
+ * browsers needn't put an API key in the socket's URL. It expires like a
+ * stream token.
+ * @param callSid Twilio call SID
+ * @returns The token, "<expiry>.<signature>"
+ */
+export function createListenToken(callSid) {
+  return createToken('listen', callSid, '');
+}
+
+/**
+ * Checks the token a listen socket was opened with
+ * @param token Token from the socket's ?token=
+ * @param callSid Call SID of the socket
+ * @returns { valid, reason } with the reason a token was refused
+ */
+export function verifyListenToken(token, callSid) {
+  return verifyToken('listen', token, callSid, '');
+}
@@ -0,0 +1,158 @@
+import { twilioClient } from './twilio.js';
+import { callRegistry } from './callRegistry.js';
+import { redirectCall } from './dialer.js';
+import { VoiceResponse } from '../utils/twiml.js';
+import { containsPhrase } from '../utils/phrases.js';
+import { BASE_URL } from '../config.js';
+
+const DIAL_TIMEOUT_SECONDS = parseInt(process.env.TRANSFER_TIMEOUT_SECONDS || '30');
+
+const DEFAULT_UNAVAILABLE_MESSAGE = 'Sorry, nobody is available to take your call right now. Goodbye.';
+
+// Dial statuses that mean the human never picked up
+const FAILED_DIAL_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * Looks up where to transfer a call
+ * @param name Optional target name from TRANSFER_TARGETS, e.g. "sales"
+ * @returns Phone number or SIP URI, or null if none is configured
+ */
+export function resolveTransferTarget(name) {
+  if (name && process.env.TRANSFER_TARGETS) {
+    try {
+      const targets = JSON.parse(process.env.TRANSFER_TARGETS);
+      if (targets[name]) {
+        return targets[name];
+      }
+    } catch (error) {
+      console.error('Invalid TRANSFER_TARGETS:', error.message);
+    }
+  }
+  return process.env.TRANSFER_NUMBER || null;
+}
+
+/**
+ * Checks a caller's words against TRANSFER_KEYWORDS
+ * @param text What the caller said
+ * @returns True if the caller asked for a human
+ */
+export function matchesTransferKeyword(text) {
+  return containsPhrase(text, process.env.TRANSFER_KEYWORDS);
+}
+
+/**
+ * TwiML played to the caller when the transfer target didn't answer
+ * @returns TwiML document
+ */
+export function buildTransferUnavailableTwiml() {
+  const message = process.env.TRANSFER_UNAVAILABLE_MESSAGE || DEFAULT_UNAVAILABLE_MESSAGE;
+  return new VoiceResponse().say(message).hangup().toString();
+}
+
+function statusCallbackUrl(callSid) {
+  return `${BASE_URL}/transfer-status?callSid=${encodeURIComponent(callSid)}`;
+}
+
+/**
+ * Moves a live call from the agent to a human. Without hold music the
+ * caller is simply dialed through; with TRANSFER_HOLD_MUSIC_URL the caller
+ * waits in a conference, hearing the music, while the human is called
+ * into it.
+ * @param callSid Twilio call SID of the caller
+ * @param options Target (number or SIP URI) and what triggered the transfer
+ * @returns The transfer details stored on the call record
+ */
+export async function transferCall(callSid, { target, reason }) {
+  const holdMusicUrl = process.env.TRANSFER_HOLD_MUSIC_URL;
+  const transfer = {
+    target,
+    reason,
+    status: 'dialing',
+    dialStatus: null,
+    conference: holdMusicUrl ? `transfer-${callSid}` : null,
+    requestedAt: new Date().toISOString(),
+    connectedAt: null,
+    endedAt: null
+  };
+
+  console.log(`Transferring ${callSid} to ${target} (${reason})`);
+  callRegistry.update(callSid, { transfer });
+
+  try {
+    if (transfer.conference) {
+      const hold = new VoiceResponse();
+      hold.dial().conference(transfer.conference, {
+        waitUrl: holdMusicUrl,
+        waitMethod: 'GET',
+        startConferenceOnEnter: false,
+        endConferenceOnExit: true
+      });
+      await redirectCall(callSid, hold.toString());
+
+      const join = new VoiceResponse();
+      join.dial().conference(transfer.conference, {
+        startConferenceOnEnter: true,
+        endConferenceOnExit: true
+      });
+
+      await twilioClient.calls.create({
+        to: target,
+        from: process.env.TWILIO_PHONE_NUMBER || '',
+        timeout: DIAL_TIMEOUT_SECONDS,
+        twiml: join.toString(),
+        statusCallback: statusCallbackUrl(callSid),
+        statusCallbackEvent: ['answered', 'completed'],
+        statusCallbackMethod: 'POST'
+      });
+    } else {
+      const response = new VoiceResponse();
+      const dial = response.dial({ action: statusCallbackUrl(callSid), timeout: DIAL_TIMEOUT_SECONDS });
+      if (target.startsWith('sip:')) {
+        dial.sip(target);
+      } else {
+        dial.number(target);
+      }
+      await redirectCall(callSid, response.toString());
+    }
+  } catch (error) {
+    transfer.status = 'failed';
+    transfer.endedAt = new Date().toISOString();
+    callRegistry.update(callSid, { transfer, error: `Transfer: ${error.message}` });
+    throw error;
+  }
+
+  return transfer;
+}
+
+/**
+ * Records the outcome of the transfer leg
+ * @param callSid Twilio call SID of the caller
+ * @param dialStatus DialCallStatus, or CallStatus of the human's leg
+ * @returns True if the human never answered and the caller is still waiting
+ */
+export function updateTransferStatus(callSid, dialStatus) {
+  const record = callRegistry.get(callSid);
+  const transfer = record?.transfer;
+  if (!transfer) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const wasConnected = transfer.status === 'connected';
+  transfer.dialStatus = dialStatus;
+
+  if (dialStatus === 'in-progress' || dialStatus === 'answered') {
+    transfer.status = 'connected';
+    transfer.connectedAt = now;
+  } else if (dialStatus === 'completed') {
+    transfer.status = 'completed';
+    transfer.connectedAt = transfer.connectedAt || now;
+    transfer.endedAt = now;
+  } else if (FAILED_DIAL_STATUSES.includes(dialStatus) && !wasConnected) {
+    transfer.status = 'failed';
+    transfer.endedAt = now;
+  }
+
+  callRegistry.update(callSid, { transfer });
+  return transfer.status === 'failed';
+}
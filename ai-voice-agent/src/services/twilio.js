@@ -0,0 +1,7 @@
+import twilio from 'twilio';
+
+// Initialize the Twilio client
+export const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID || '',
+  process.env.TWILIO_AUTH_TOKEN || ''
+);
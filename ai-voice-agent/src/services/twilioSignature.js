@@ -0,0 +1,77 @@
+import twilio from 'twilio';
+import { BASE_URL } from '../config.js';
+
+// Routes Twilio calls back on, which must carry a valid X-Twilio-Signature
+export const TWILIO_WEBHOOK_ROUTES = [
+  'POST /call-twiml',
+  'POST /call-status',
+  'POST /amd-status',
+  'POST /transfer-status',
+  'GET /inbound-call',
+  'POST /inbound-call'
+];
+
+/**
+ * Signature checks can be turned off with SKIP_TWILIO_SIGNATURE_VALIDATION
+ * for local simulators, which can't sign their requests
+ * @returns True if webhooks must be signed
+ */
+export function isSignatureValidationEnabled() {
+  return process.env.SKIP_TWILIO_SIGNATURE_VALIDATION !== 'true';
+}
+
+/**
+ * @param request Fastify request
+ * @returns True if the route is one of Twilio's webhooks
+ */
+export function isTwilioWebhook(request) {
+  const url = request.routeOptions?.url;
+  return Boolean(url) && TWILIO_WEBHOOK_ROUTES.includes(`${request.method} ${url}`);
+}
+
+// The URL the request reached this server on, going by the proxy headers
+function getReceivedUrl(request) {
+  const protocol = String(request.headers['x-forwarded-proto'] || request.protocol).split(',')[0].trim();
+  const host = String(request.headers['x-forwarded-host'] || request.headers.host || '').split(',')[0].trim();
+  return `${protocol}://${host}${request.url}`;
+}
+
+/**
+ * Checks a webhook's X-Twilio-Signature. Twilio signs the full URL it
+ * called (which must be BASE_URL plus the path and query) and the POSTed
+ * form parameters with the account's auth token.
+ * @param request Fastify request (after body parsing)
+ * @returns { valid, reason } with the reason a request was rejected
+ */
+export function validateTwilioSignature(request) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = request.headers['x-twilio-signature'];
+  const url = `${BASE_URL.replace(/\/+$/, '')}${request.url}`;
+  const params = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+
+  if (!authToken) {
+    return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not set' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'No X-Twilio-Signature header' };
+  }
+  if (twilio.validateRequest(authToken, signature, url, params)) {
+    return { valid: true };
+  }
+
+  // Behind ngrok or another proxy the most common cause is a BASE_URL that
+  // doesn't match the public URL Twilio was given
+  const receivedUrl = getReceivedUrl(request);
+  if (receivedUrl !== url && twilio.validateRequest(authToken, signature, receivedUrl, params)) {
+    return {
+      valid: false,
+      reason: `Signed for ${receivedUrl}, not ${url}: BASE_URL doesn't match the URL Twilio called`
+    };
+  }
+
+  return {
+    valid: false,
+    reason: `Signature doesn't match ${url} (received as ${receivedUrl}) with parameters ` +
+      `${Object.keys(params).sort().join(', ') || 'none'}; check BASE_URL and TWILIO_AUTH_TOKEN`
+  };
+}
@@ -0,0 +1,65 @@
+import { BASE_URL } from '../config.js';
+import { invalid } from '../utils/errors.js';
+
+// What to do when an answering machine picks up
+export const VOICEMAIL_ACTIONS = ['hangup', 'message', 'agent'];
+
+export const DEFAULT_VOICEMAIL_PROMPT =
+  'You are leaving a voicemail. Say your first message and nothing else; nobody will reply.';
+
+/**
+ * Builds the answering machine detection settings of a call, with
+ * MACHINE_DETECTION / VOICEMAIL_* env defaults
+ * @param option machineDetection from the request: true, false or
+ *   { action, message, audioUrl, script }
+ * @returns The settings, or null if detection is off for this call
+ */
+export function resolveMachineDetection(option) {
+  if (option === false || (option === undefined && process.env.MACHINE_DETECTION !== 'true')) {
+    return null;
+  }
+
+  const settings = typeof option === 'object' && option !== null ? option : {};
+  const resolved = {
+    action: settings.action || process.env.VOICEMAIL_ACTION || 'hangup',
+    message: settings.message || process.env.VOICEMAIL_MESSAGE || null,
+    audioUrl: settings.audioUrl || process.env.VOICEMAIL_AUDIO_URL || null,
+    script: settings.script || process.env.VOICEMAIL_SCRIPT || null
+  };
+
+  if (!VOICEMAIL_ACTIONS.includes(resolved.action)) {
+    throw invalid(`machineDetection.action must be one of ${VOICEMAIL_ACTIONS.join(', ')}`);
+  }
+  if (resolved.action === 'message' && !resolved.message && !resolved.audioUrl) {
+    throw invalid('machineDetection.message or machineDetection.audioUrl is required for the "message" action');
+  }
+  if (resolved.action === 'agent' && !resolved.script && !resolved.message) {
+    throw invalid('machineDetection.script is required for the "agent" action');
+  }
+
+  return resolved;
+}
+
+/**
+ * Twilio call parameters that turn on async answering machine detection.
+ * Hanging up only needs to know a machine answered; leaving a message has
+ * to wait for the beep.
+ * @param settings Result of resolveMachineDetection
+ * @returns Parameters for twilioClient.calls.create
+ */
+export function machineDetectionParams(settings) {
+  return {
+    machineDetection: settings.action === 'hangup' ? 'Enable' : 'DetectMessageEnd',
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: `${BASE_URL}/amd-status`,
+    asyncAmdStatusCallbackMethod: 'POST'
+  };
+}
+
+/**
+ * @param answeredBy AnsweredBy value from Twilio's AMD callback
+ * @returns True if a machine (or fax) answered rather than a person
+ */
+export function isMachineAnswer(answeredBy) {
+  return typeof answeredBy === 'string' && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+}
@@ -0,0 +1,105 @@
+import { callRegistry, TERMINAL_STATES } from './callRegistry.js';
+import { BASE_URL } from '../config.js';
+
+const MAX_ATTEMPTS = 3;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Checks that a callback URL is an absolute http(s) URL
+ * @param url URL supplied by the caller
+ * @returns True if the URL can be used as a webhook target
+ */
+export function isValidCallbackUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds the JSON payload describing how a call ended
+ * @param record Call record from the registry
+ * @returns Webhook payload
+ */
+export function buildCompletionPayload(record) {
+  const endedAt = TERMINAL_STATES
+    .map(status => record.timestamps[status])
+    .find(Boolean) || record.updatedAt;
+  const root = record.rootCallSid ? callRegistry.get(record.rootCallSid) : record;
+
+  return {
+    event: 'call.completed',
+    callSid: record.callSid,
+    direction: record.direction,
+    to: record.to,
+    from: record.from,
+    status: record.status,
+    duration: record.duration,
+    startedAt: record.timestamps['in-progress'] || null,
+    endedAt,
+    conversationId: record.conversationId || null,
+    transcript: record.transcript || [],
+    recordingUrl: record.recording
+      ? `${BASE_URL}/calls/${record.callSid}/recording`
+      : null,
+    error: record.error || null,
+    transfer: record.transfer || null,
+    optOut: record.optOut || null,
+    attempt: record.attempt || 1,
+    originalCallSid: record.rootCallSid || record.callSid,
+    attempts: root?.attempts || []
+  };
+}
+
+/**
+ * POSTs the completion payload to the call's callbackUrl, or to
+ * CALL_COMPLETED_WEBHOOK_URL if the call didn't set one. Retries with
+ * backoff and records the delivery result on the call record.
+ * @param record Call record from the registry
+ */
+export async function sendCompletionWebhook(record) {
+  const url = record.callbackUrl || process.env.CALL_COMPLETED_WEBHOOK_URL;
+  if (!url || record.webhook) {
+    return;
+  }
+
+  const payload = buildCompletionPayload(record);
+  const delivery = { url, status: 'pending', attempts: 0, lastError: null };
+  callRegistry.update(record.callSid, { webhook: delivery });
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    delivery.attempts = attempt;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (response.ok) {
+        console.log(`Completion webhook for ${record.callSid} delivered to ${url}`);
+        delivery.status = 'sent';
+        delivery.lastError = null;
+        callRegistry.update(record.callSid, { webhook: delivery });
+        return;
+      }
+
+      delivery.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+
+    console.warn(`Completion webhook for ${record.callSid} failed (attempt ${attempt}/${MAX_ATTEMPTS}): ${delivery.lastError}`);
+
+    if (attempt < MAX_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+
+  delivery.status = 'failed';
+  callRegistry.update(record.callSid, { webhook: delivery });
+}
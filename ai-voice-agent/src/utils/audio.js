@@ -0,0 +1,93 @@
+// Twilio media streams carry 8 kHz, 8-bit G.711 μ-law mono audio
+export const SAMPLE_RATE = 8000;
+
+// Precomputed μ-law byte -> 16-bit linear PCM table
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const byte = ~i & 0xff;
+  const sign = byte & 0x80;
+  const exponent = (byte >> 4) & 0x07;
+  const mantissa = byte & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Decodes μ-law audio to 16-bit linear PCM
+ * @param mulaw Buffer of μ-law bytes
+ * @returns PCM samples
+ */
+export function mulawToPcm(mulaw) {
+  const pcm = new Int16Array(mulaw.length);
+  for (let i = 0; i < mulaw.length; i++) {
+    pcm[i] = MULAW_DECODE_TABLE[mulaw[i]];
+  }
+  return pcm;
+}
+
+/**
+ * Encodes 16-bit linear PCM to μ-law (G.711)
+ * @param pcm PCM samples
+ * @returns Buffer of μ-law bytes
+ */
+export function pcmToMulaw(pcm) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const mulaw = Buffer.alloc(pcm.length);
+
+  for (let i = 0; i < pcm.length; i++) {
+    let sample = pcm[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) {
+      sample = -sample;
+    }
+    sample = Math.min(sample, CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+
+  return mulaw;
+}
+
+/**
+ * Builds a 16-bit PCM WAV file from one buffer of samples per channel
+ * @param channels Array of Int16Array, one per channel, all the same length
+ * @param sampleRate Samples per second
+ * @returns WAV file contents
+ */
+export function encodeWav(channels, sampleRate = SAMPLE_RATE) {
+  const channelCount = channels.length;
+  const frames = channels[0]?.length || 0;
+  const dataSize = frames * channelCount * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(channelCount, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * channelCount * 2, 28);
+  wav.writeUInt16LE(channelCount * 2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+
+  // Samples are interleaved frame by frame: L R L R ...
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      wav.writeInt16LE(channels[channel][frame], offset);
+      offset += 2;
+    }
+  }
+
+  return wav;
+}
@@ -0,0 +1,52 @@
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields (with commas,
+ * newlines and "" escapes inside) and both \n and \r\n line endings; blank
+ * lines are skipped.
+ * @param text CSV text
+ * @returns Array of rows, each an array of field strings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  const input = String(text || '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
@@ -0,0 +1,10 @@
+/**
+ * Creates the error for a request that fails validation; the routes turn
+ * its statusCode into a 400 response
+ * @param message What is wrong with the request
+ * @param code Optional machine-readable reason, sent along with the error
+ * @returns The error, to throw
+ */
+export function invalid(message, code) {
+  return Object.assign(new Error(message), { statusCode: 400, ...(code ? { code } : {}) });
+}
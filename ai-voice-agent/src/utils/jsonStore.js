@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Reads a JSON file, returning the fallback if it is missing or invalid
+ * @param filePath Path to the JSON file
+ * @param fallback Value to return when the file can't be read
+ * @returns Parsed JSON or the fallback
+ */
+export function loadJsonFile(filePath, fallback) {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Creates a debounced writer that saves a snapshot to a JSON file.
+ * Writes go to a temporary file first and are renamed into place, so a
+ * crash mid-write never leaves a truncated file behind.
+ * @param filePath Path to the JSON file (writes are skipped if empty)
+ * @param getSnapshot Function returning the data to save
+ * @param delayMs How long to batch changes before writing
+ * @returns Function that schedules a write
+ */
+export function createJsonWriter(filePath, getSnapshot, delayMs = 500) {
+  let timer = null;
+
+  return function scheduleWrite() {
+    if (!filePath || timer) {
+      return;
+    }
+
+    timer = setTimeout(() => {
+      timer = null;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(getSnapshot(), null, 2));
+        fs.renameSync(tmpPath, filePath);
+      } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+      }
+    }, delayMs);
+  };
+}
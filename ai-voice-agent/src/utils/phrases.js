@@ -0,0 +1,15 @@
+/**
+ * Checks whether text contains any of a comma-separated list of phrases,
+ * ignoring case
+ * @param text Transcript text
+ * @param phrases Comma-separated phrases, e.g. from an env variable
+ * @returns True if one of the phrases occurs in the text
+ */
+export function containsPhrase(text, phrases) {
+  const spoken = String(text || '').toLowerCase();
+  return String(phrases || '')
+    .split(',')
+    .map(phrase => phrase.trim().toLowerCase())
+    .filter(Boolean)
+    .some(phrase => spoken.includes(phrase));
+}
@@ -0,0 +1,121 @@
+// Best-effort mapping from phone numbers to the recipient's local time zone.
+// Countries spanning several zones are only listed where the area code
+// settles it; anything ambiguous returns null so the caller has to give
+// the time zone explicitly.
+
+// North American Numbering Plan (+1) area codes, grouped by zone
+const NANP_ZONES = {
+  'America/New_York': `
+    203 475 860 959 302 202 771 239 305 321 352 386 407 561 656 689 727 754 772 786 813 863 904 941 954
+    229 404 470 478 678 706 762 770 912 943 260 317 463 574 765 812 930 502 606 859 207
+    240 301 410 443 667 339 351 413 508 617 774 781 857 978 231 248 269 313 517 586 616 679
+    734 810 906 947 989 603 201 551 609 640 732 848 856 862 908 973 212 315 332 347 363 516
+    518 585 607 631 646 680 716 718 838 845 914 917 929 934 252 336 472 704 743 828 910 919
+    980 984 216 220 234 283 326 330 380 419 436 440 513 567 614 740 937 215 223 267 272 412
+    445 484 570 582 610 717 724 814 835 878 401 803 839 843 854 864 423 865 802 276 434 540
+    571 703 757 804 826 948 304 681`,
+  'America/Chicago': `
+    205 251 256 334 659 938 479 501 870 850 217 224 309 312 331 447 464 618 630 708 730 773
+    779 815 847 872 219 319 515 563 641 712 316 620 785 913 270 364 225 318 337 504 985 218
+    320 507 612 651 763 952 228 601 662 769 314 417 557 573 636 660 816 975 308 402 531 701
+    405 539 572 580 918 605 615 629 731 901 931 210 214 254 281 325 346 361 409 430 432 469
+    512 682 713 726 737 806 817 830 832 903 936 940 945 956 972 979 262 274 414 534 608 715 920`,
+  'America/Denver': '303 719 720 970 983 208 986 406 505 575 385 435 801 307 915',
+  'America/Phoenix': '480 520 602 623 928',
+  'America/Los_Angeles': `
+    209 213 279 310 323 341 350 408 415 424 442 510 530 559 562 619 626 628 650 657 661 669
+    707 714 747 760 805 818 820 831 840 858 909 916 925 949 951 702 725 775 458 503 541 971
+    206 253 360 425 509 564`,
+  'America/Anchorage': '907',
+  'Pacific/Honolulu': '808',
+  'America/Toronto': `
+    226 249 289 343 365 382 416 437 519 548 613 647 683 705 742 753 807 905 263 354 367 418
+    438 450 468 514 579 581 819 873`,
+  'America/Halifax': '782 902 428 506',
+  'America/St_Johns': '709 879',
+  'America/Winnipeg': '204 431 584',
+  'America/Regina': '306 474 639',
+  'America/Edmonton': '368 403 587 780 825',
+  'America/Vancouver': '236 250 257 604 672 778',
+  'America/Puerto_Rico': '787 939',
+  'America/Santo_Domingo': '809 829 849',
+  'America/Jamaica': '658 876',
+  'America/Port_of_Spain': '868',
+  'America/Nassau': '242',
+  'Atlantic/Bermuda': '441'
+};
+
+const NANP_AREA_CODES = new Map();
+for (const [zone, codes] of Object.entries(NANP_ZONES)) {
+  for (const code of codes.trim().split(/\s+/)) {
+    NANP_AREA_CODES.set(code, zone);
+  }
+}
+
+// Country calling codes of countries that (almost entirely) use one zone
+const COUNTRY_ZONES = {
+  '20': 'Africa/Cairo', '27': 'Africa/Johannesburg', '30': 'Europe/Athens', '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels', '33': 'Europe/Paris', '34': 'Europe/Madrid', '36': 'Europe/Budapest',
+  '39': 'Europe/Rome', '40': 'Europe/Bucharest', '41': 'Europe/Zurich', '43': 'Europe/Vienna',
+  '44': 'Europe/London', '45': 'Europe/Copenhagen', '46': 'Europe/Stockholm', '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw', '49': 'Europe/Berlin', '51': 'America/Lima', '53': 'America/Havana',
+  '54': 'America/Argentina/Buenos_Aires', '56': 'America/Santiago', '57': 'America/Bogota',
+  '58': 'America/Caracas', '60': 'Asia/Kuala_Lumpur', '63': 'Asia/Manila', '65': 'Asia/Singapore',
+  '66': 'Asia/Bangkok', '81': 'Asia/Tokyo', '82': 'Asia/Seoul', '84': 'Asia/Ho_Chi_Minh',
+  '86': 'Asia/Shanghai', '90': 'Europe/Istanbul', '91': 'Asia/Kolkata', '92': 'Asia/Karachi',
+  '94': 'Asia/Colombo', '212': 'Africa/Casablanca', '234': 'Africa/Lagos', '254': 'Africa/Nairobi',
+  '351': 'Europe/Lisbon', '352': 'Europe/Luxembourg', '353': 'Europe/Dublin',
+  '354': 'Atlantic/Reykjavik', '356': 'Europe/Malta', '357': 'Asia/Nicosia', '358': 'Europe/Helsinki',
+  '359': 'Europe/Sofia', '370': 'Europe/Vilnius', '371': 'Europe/Riga', '372': 'Europe/Tallinn',
+  '380': 'Europe/Kyiv', '381': 'Europe/Belgrade', '385': 'Europe/Zagreb', '386': 'Europe/Ljubljana',
+  '420': 'Europe/Prague', '421': 'Europe/Bratislava', '852': 'Asia/Hong_Kong', '886': 'Asia/Taipei',
+  '966': 'Asia/Riyadh', '971': 'Asia/Dubai', '972': 'Asia/Jerusalem', '974': 'Asia/Qatar'
+};
+
+// Australian landlines: the area code after +61 picks the state
+const AUSTRALIA_AREA_ZONES = {
+  '2': 'Australia/Sydney',
+  '3': 'Australia/Melbourne',
+  '7': 'Australia/Brisbane'
+};
+
+/**
+ * Checks that a time zone name is known to the runtime
+ * @param timezone IANA time zone name, e.g. "Europe/London"
+ * @returns True if the zone can be used
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Infers the local time zone of an E.164 phone number
+ * @param phoneNumber Number in E.164 format (+15551234567)
+ * @returns IANA time zone name, or null if it can't be determined
+ */
+export function inferTimezone(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/[^\d]/g, '');
+
+  if (digits.startsWith('1')) {
+    return NANP_AREA_CODES.get(digits.substring(1, 4)) || null;
+  }
+
+  if (digits.startsWith('61')) {
+    return AUSTRALIA_AREA_ZONES[digits.charAt(2)] || null;
+  }
+
+  // Country calling codes are prefix-free, so at most one of these matches
+  for (const length of [1, 2, 3]) {
+    const zone = COUNTRY_ZONES[digits.substring(0, length)];
+    if (zone) {
+      return zone;
+    }
+  }
+
+  return null;
+}
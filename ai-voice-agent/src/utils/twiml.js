@@ -0,0 +1,194 @@
+import { escapeXml } from './xml.js';
+
+/**
+ * One TwiML element. Attribute values and text are escaped when the
+ * document is rendered, so callers pass raw values; attributes that are
+ * null or undefined are left out.
+ */
+class TwimlElement {
+  /**
+   * @param {string} name Tag name
+   * @param {Record<string, any>} [attributes] Attribute name -> value
+   * @param {string | null} [text] Text content
+   */
+  constructor(name, attributes = {}, text = null) {
+    this.name = name;
+    this.attributes = attributes;
+    this.text = text;
+    /** @type {TwimlElement[]} */
+    this.children = [];
+  }
+
+  /**
+   * @template {TwimlElement} T
+   * @param {T} child
+   * @returns {T}
+   */
+  append(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  /**
+   * @param {string} [indent]
+   * @returns {string}
+   */
+  render(indent = '') {
+    const attributes = Object.entries(this.attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+
+    if (this.children.length > 0) {
+      const children = this.children.map(child => child.render(`${indent}  `)).join('\n');
+      return `${indent}<${this.name}${attributes}>\n${children}\n${indent}</${this.name}>`;
+    }
+    if (this.text !== null && this.text !== undefined) {
+      return `${indent}<${this.name}${attributes}>${escapeXml(this.text)}</${this.name}>`;
+    }
+    return `${indent}<${this.name}${attributes} />`;
+  }
+}
+
+/**
+ * <Stream> inside <Connect>, with custom parameters that come back in the
+ * media stream's start event
+ */
+class Stream extends TwimlElement {
+  /**
+   * @param {string} name
+   * @param {string} value
+   * @returns {Stream}
+   */
+  parameter(name, value) {
+    this.append(new TwimlElement('Parameter', { name, value }));
+    return this;
+  }
+}
+
+class Connect extends TwimlElement {
+  /**
+   * @param {Record<string, any>} attributes url, and any other <Stream> attributes
+   * @returns {Stream}
+   */
+  stream(attributes) {
+    return this.append(new Stream('Stream', attributes));
+  }
+}
+
+class Dial extends TwimlElement {
+  /**
+   * @param {string} number Phone number to dial
+   * @returns {Dial}
+   */
+  number(number) {
+    this.append(new TwimlElement('Number', {}, number));
+    return this;
+  }
+
+  /**
+   * @param {string} uri SIP URI to dial
+   * @returns {Dial}
+   */
+  sip(uri) {
+    this.append(new TwimlElement('Sip', {}, uri));
+    return this;
+  }
+
+  /**
+   * @param {string} name Conference room name
+   * @param {Record<string, any>} [attributes] waitUrl, startConferenceOnEnter, ...
+   * @returns {Dial}
+   */
+  conference(name, attributes = {}) {
+    this.append(new TwimlElement('Conference', attributes, name));
+    return this;
+  }
+}
+
+/**
+ * Builds a TwiML <Response> document. Verbs that take no children return
+ * the response so they can be chained; <Connect> and <Dial> return the new
+ * element so its nouns can be added.
+ *
+ *   const response = new VoiceResponse();
+ *   response.say('Please hold.').pause(1);
+ *   response.dial({ timeout: 30 }).number('+15551234567');
+ *   reply.send(response.toString());
+ */
+export class VoiceResponse extends TwimlElement {
+  constructor() {
+    super('Response');
+  }
+
+  /**
+   * @param {string} text What to say
+   * @param {Record<string, any>} [attributes] voice, language, loop
+   * @returns {VoiceResponse}
+   */
+  say(text, attributes = {}) {
+    this.append(new TwimlElement('Say', attributes, text));
+    return this;
+  }
+
+  /**
+   * @param {string} url Audio file to play
+   * @param {Record<string, any>} [attributes] loop, digits
+   * @returns {VoiceResponse}
+   */
+  play(url, attributes = {}) {
+    this.append(new TwimlElement('Play', attributes, url));
+    return this;
+  }
+
+  /**
+   * @param {number} [length] Seconds to wait (Twilio's default is 1)
+   * @returns {VoiceResponse}
+   */
+  pause(length) {
+    this.append(new TwimlElement('Pause', { length }));
+    return this;
+  }
+
+  /** @returns {VoiceResponse} */
+  hangup() {
+    this.append(new TwimlElement('Hangup'));
+    return this;
+  }
+
+  /**
+   * @param {Record<string, any>} [attributes] action, timeout, callerId, ...
+   * @returns {Dial}
+   */
+  dial(attributes = {}) {
+    return this.append(new Dial('Dial', attributes));
+  }
+
+  /**
+   * @param {Record<string, any>} [attributes]
+   * @returns {Connect}
+   */
+  connect(attributes = {}) {
+    return this.append(new Connect('Connect', attributes));
+  }
+
+  /** @returns {string} */
+  toString() {
+    return this.render();
+  }
+}
+
+/**
+ * TwiML that connects the call to a bidirectional media stream
+ * @param {string} url WebSocket URL of the stream
+ * @param {Record<string, string>} [parameters] Custom parameters for the start event
+ * @returns {string} TwiML document
+ */
+export function buildStreamTwiml(url, parameters = {}) {
+  const response = new VoiceResponse();
+  const stream = response.connect().stream({ url });
+  for (const [name, value] of Object.entries(parameters)) {
+    stream.parameter(name, value);
+  }
+  return response.toString();
+}
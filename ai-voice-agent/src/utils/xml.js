@@ -0,0 +1,12 @@
+/**
+ * Escapes a value for use in XML text or a double-quoted attribute
+ * @param value Value to escape
+ * @returns The escaped string
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}